@@ -10,6 +10,12 @@ import fs from 'fs';
 import uploadRoutes from './routes/upload.js';
 import chatRoutes from './routes/chat.js';
 import processingRoutes from './routes/processing.js';
+import searchRoutes from './routes/search.js';
+
+// Import services
+import JobQueue from './services/jobQueue.js';
+import ProgressHub from './services/progressHub.js';
+import ProcessingService from './services/processingService.js';
 
 // Get __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -103,10 +109,20 @@ const upload = multer({
 // Make upload middleware available to routes
 app.locals.upload = upload;
 
+// Live processing events, streamed to clients by /api/processing/events
+const progressHub = new ProgressHub();
+app.locals.progressHub = progressHub;
+
+// Persisted processing queue shared by all routes
+const processingService = new ProcessingService({ progressHub });
+const jobQueue = new JobQueue((job, options) => processingService.processJob(job, options));
+app.locals.jobQueue = jobQueue;
+
 // Routes
 app.use('/api/upload', uploadRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/processing', processingRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -156,6 +172,21 @@ app.listen(PORT, () => {
   } else {
     console.log('✅ All required environment variables are set');
   }
+  
+  // Start the processing worker (also resumes jobs orphaned by a previous run)
+  jobQueue.start().catch(error => {
+    console.error('❌ Job worker failed to start:', error.message);
+  });
 });
 
+// Let in-flight jobs finish before exiting; unfinished ones are resumed on next boot
+const shutdown = async (signal) => {
+  console.log(`\n🛑 ${signal} received, stopping job worker...`);
+  await jobQueue.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 export default app;
\ No newline at end of file
@@ -3,6 +3,11 @@ import { createClient } from '@supabase/supabase-js';
 import OpenAI from 'openai';
 import EmbeddingService from '../services/embeddingService.js';
 import PineconeService from '../services/pineconeService.js';
+import HybridRetriever from '../services/hybridRetriever.js';
+import Reranker from '../services/reranker.js';
+import ContextExpander from '../services/contextExpander.js';
+import TimeReferenceParser from '../services/timeReferenceParser.js';
+import CitationService from '../services/citationService.js';
 
 const router = express.Router();
 
@@ -20,8 +25,22 @@ function getSupabase() {
 
 const embeddingService = new EmbeddingService();
 const pineconeService = new PineconeService();
+const hybridRetriever = new HybridRetriever({ embeddingService, pineconeService });
+const reranker = new Reranker();
+const contextExpander = new ContextExpander();
+const timeReferenceParser = new TimeReferenceParser();
+const citationService = new CitationService();
 let openai = null;
 
+// Number of previous turns sent back to the model
+const historyTurns = parseInt(process.env.CHAT_HISTORY_TURNS) || 6;
+
+// Upper bound on the lectures a single course-wide chat searches
+const maxCourseVideos = parseInt(process.env.CHAT_MAX_COURSE_VIDEOS) || 100;
+
+// Questions about a moment are answered from the transcript split into context blocks of this length
+const timeWindowBlockSeconds = 30;
+
 /**
  * Get OpenAI client instance (lazy initialization)
  * @returns {OpenAI} - OpenAI client
@@ -35,73 +54,164 @@ function getOpenAI() {
   return openai;
 }
 
+/**
+ * Validate a chat request and load the lectures it is scoped to
+ * @param {Object} request - { message, videoId } for a single lecture, or { message, videoIds, subject } for a course
+ * @returns {Promise<Object>} - { scope } or { status, body } describing the error response
+ */
+async function loadChatScope({ message, videoId, videoIds, subject }) {
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return { status: 400, body: { success: false, error: 'Message is required' } };
+  }
+  
+  if (videoId) {
+    return loadChatVideo(videoId);
+  }
+  
+  if ((Array.isArray(videoIds) && videoIds.length > 0) || subject) {
+    return loadCourseVideos(videoIds, subject);
+  }
+  
+  return { status: 400, body: { success: false, error: 'Video ID, video IDs or subject is required' } };
+}
+
+/**
+ * Load the single video a chat request targets
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object>} - { scope } or { status, body } describing the error response
+ */
+async function loadChatVideo(videoId) {
+  // Check if video exists and is ready
+  const { data: videoData, error: videoError } = await getSupabase()
+    .from('videos')
+    .select('*')
+    .eq('id', videoId)
+    .single();
+  
+  if (videoError) {
+    if (videoError.code === 'PGRST116') {
+      return { status: 404, body: { success: false, error: 'Video not found' } };
+    }
+    throw new Error(videoError.message);
+  }
+  
+  if (videoData.status !== 'ready') {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `Video is not ready for chat. Current status: ${videoData.status}`,
+        processingStage: videoData.processing_stage
+      }
+    };
+  }
+  
+  return { scope: { videoId: videoId, subject: null, videos: [videoData] } };
+}
+
+/**
+ * Load the ready lectures of a course-wide chat request
+ * @param {Array<string>} videoIds - Video IDs (optional)
+ * @param {string} subject - Subject / course name (optional)
+ * @returns {Promise<Object>} - { scope } or { status, body } describing the error response
+ */
+async function loadCourseVideos(videoIds, subject) {
+  if (videoIds && videoIds.length > maxCourseVideos) {
+    return {
+      status: 400,
+      body: { success: false, error: `A course chat can include at most ${maxCourseVideos} videos` }
+    };
+  }
+  
+  let query = getSupabase()
+    .from('videos')
+    .select('*')
+    .eq('status', 'ready')
+    .order('created_at', { ascending: true })
+    .limit(maxCourseVideos);
+  
+  if (videoIds && videoIds.length > 0) {
+    query = query.in('id', videoIds);
+  }
+  
+  if (subject) {
+    query = query.eq('subject', subject);
+  }
+  
+  const { data: videos, error } = await query;
+  
+  if (error) {
+    throw new Error(error.message);
+  }
+  
+  if (videos.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, error: 'No ready videos found for this course' }
+    };
+  }
+  
+  console.log(`📚 Course chat over ${videos.length} videos`);
+  
+  return { scope: { videoId: null, subject: subject || null, videos: videos } };
+}
+
 /**
  * POST /api/chat
- * Handle chat messages and provide RAG-based responses
+ * Handle chat messages and provide RAG-based responses.
+ * Send `videoId` to chat with one lecture, or `videoIds` and/or `subject` to chat across a course;
+ * timestamps and sources are tagged with the `videoId` and `videoTitle` they came from.
+ * Questions about a moment of the lecture ("at 42:10", "the last five minutes" relative to
+ * `playerTime`, the player position in seconds) are answered from the transcript around that time.
+ * The answer cites the context blocks it used: `sentences` are character spans of `response` with the
+ * footnote ids in `citations` they rely on; `invalidCitations` lists cited blocks that did not exist
  */
 router.post('/', async (req, res) => {
   try {
-    const { message, videoId, conversationId } = req.body;
+    const { message, videoId, videoIds, subject, conversationId, retrieval, playerTime } = req.body;
     
     console.log('💬 Chat request received:');
     console.log(`   • Message: ${message}`);
-    console.log(`   • Video ID: ${videoId}`);
+    console.log(`   • Scope: ${describeScope(videoId, videoIds, subject)}`);
     console.log(`   • Conversation ID: ${conversationId}`);
     
     // Validate input
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message is required'
-      });
+    const retrievalOptions = parseRetrievalOptions(retrieval);
+    if (retrievalOptions.error) {
+      return res.status(400).json({ success: false, error: retrievalOptions.error });
     }
     
-    if (!videoId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Video ID is required'
-      });
+    if (!isValidPlayerTime(playerTime)) {
+      return res.status(400).json({ success: false, error: 'playerTime must be a non-negative number of seconds' });
     }
     
-    // Check if video exists and is ready
-    const { data: videoData, error: videoError } = await getSupabase()
-      .from('videos')
-      .select('id, title, subject, status, processing_stage')
-      .eq('id', videoId)
-      .single();
-    
-    if (videoError) {
-      if (videoError.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          error: 'Video not found'
-        });
-      }
-      throw new Error(videoError.message);
+    const { scope, status, body } = await loadChatScope({ message, videoId, videoIds, subject });
+    if (!scope) {
+      return res.status(status).json(body);
     }
     
-    if (videoData.status !== 'ready') {
-      return res.status(400).json({
-        success: false,
-        error: `Video is not ready for chat. Current status: ${videoData.status}`,
-        processingStage: videoData.processing_stage
-      });
-    }
-    
-    // Generate response using RAG
-    const response = await generateRAGResponse(message, videoId, videoData);
+    // Generate response using RAG, with the earlier turns of this conversation
+    const history = await loadConversationHistory(conversationId, scope.videoId);
+    const response = await generateRAGResponse(message, scope, {
+      history,
+      retrieval: retrievalOptions,
+      playerTime: playerTime ?? null
+    });
     
     // Save conversation to database
     const conversationRecord = await saveConversation(
-      videoId, 
-      conversationId, 
-      message, 
+      scope,
+      conversationId,
+      message,
       response
     );
     
     res.json({
       success: true,
       response: response.text,
+      sentences: response.sentences,
+      citations: response.citations,
+      invalidCitations: response.invalidCitations,
       timestamps: response.timestamps,
       sources: response.sources,
       conversationId: conversationRecord.conversation_id,
@@ -118,103 +228,196 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Generate RAG-based response
- * @param {string} message - User message
- * @param {string} videoId - Video ID
- * @param {Object} videoData - Video metadata
- * @returns {Promise<Object>} - Response with text, timestamps, and sources
+ * POST /api/chat/stream
+ * Same as POST /api/chat, but streams the answer as Server-Sent Events:
+ * `token` events ({ text }) as the model produces them, still carrying the raw `[N]` citation markers,
+ * then one `done` event ({ response, sentences, citations, invalidCitations, timestamps, sources,
+ * conversationId, messageId }) with the checked citations, or an `error` event ({ error })
  */
-async function generateRAGResponse(message, videoId, videoData) {
+router.post('/stream', async (req, res) => {
+  const { message, videoId, videoIds, subject, conversationId, retrieval, playerTime } = req.body;
+  const abortController = new AbortController();
+  
+  console.log('💬 Streaming chat request received:');
+  console.log(`   • Message: ${message}`);
+  console.log(`   • Scope: ${describeScope(videoId, videoIds, subject)}`);
+  console.log(`   • Conversation ID: ${conversationId}`);
+  
   try {
-    console.log('🧠 Generating RAG response...');
+    // Validation errors are reported as plain JSON, before the stream opens
+    const retrievalOptions = parseRetrievalOptions(retrieval);
+    if (retrievalOptions.error) {
+      return res.status(400).json({ success: false, error: retrievalOptions.error });
+    }
     
-    // Step 1: Generate embedding for the user's message
-    console.log('🔍 Step 1: Generating query embedding...');
-    const queryEmbedding = await embeddingService.generateQueryEmbedding(message);
+    if (!isValidPlayerTime(playerTime)) {
+      return res.status(400).json({ success: false, error: 'playerTime must be a non-negative number of seconds' });
+    }
     
-    // Step 2: Search for relevant chunks in Pinecone
-    console.log('📊 Step 2: Searching for relevant content...');
-    const searchResults = await pineconeService.searchSimilar(queryEmbedding, {
-      videoId: videoId,
-      topK: 5,
-      minScore: 0.3
+    const { scope, status, body } = await loadChatScope({ message, videoId, videoIds, subject });
+    if (!scope) {
+      return res.status(status).json(body);
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
     
-    if (searchResults.length === 0) {
-      console.log('⚠️  No relevant content found with current threshold, trying with lower threshold...');
-      
-      // Try again with an even lower threshold
-      const fallbackResults = await pineconeService.searchSimilar(queryEmbedding, {
-        videoId: videoId,
-        topK: 3,
-        minScore: 0.1
-      });
-      
-      if (fallbackResults.length === 0) {
-        console.log('⚠️  No content found even with low threshold');
-        return {
-          text: "I couldn't find relevant information in this video to answer your question. This might be because the video hasn't been fully processed yet, or your question is about content not covered in this video. Could you try rephrasing your question or asking about a different topic?",
-          timestamps: [],
-          sources: []
-        };
+    // Stop paying for tokens nobody will read
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log('⚠️  Chat stream closed by client');
+        abortController.abort();
       }
-      
-      console.log(`✅ Found ${fallbackResults.length} chunks with fallback search`);
-      // Use fallback results
-      searchResults.push(...fallbackResults);
-    }
-    
-    console.log(`✅ Found ${searchResults.length} relevant chunks`);
+    });
     
-    // Log similarity scores for debugging
-    searchResults.forEach((result, index) => {
-      console.log(`   Chunk ${index + 1}: Score ${result.score.toFixed(3)} - "${result.metadata.text.substring(0, 100)}..."`);
+    const history = await loadConversationHistory(conversationId, scope.videoId);
+    const response = await generateRAGResponse(message, scope, {
+      history,
+      retrieval: retrievalOptions,
+      playerTime: playerTime ?? null,
+      onToken: (token) => sendEvent(res, 'token', { text: token }),
+      signal: abortController.signal
     });
     
-    // Step 3: Prepare context from search results
-    const context = searchResults.map((result, index) => {
-      const metadata = result.metadata;
-      const contextChunk = {
-        index: index + 1,
-        text: metadata.text,
-        startTime: metadata.startTime || 0,
-        endTime: metadata.endTime || 0,
-        confidence: metadata.confidence || 0,
-        score: result.score
-      };
-      
-      // Log timestamp info for debugging
-      console.log(`   Context ${index + 1}: ${formatTime(contextChunk.startTime)} - ${formatTime(contextChunk.endTime)}`);
-      
-      return contextChunk;
+    const conversationRecord = await saveConversation(
+      scope, 
+      conversationId, 
+      message, 
+      response
+    );
+    
+    sendEvent(res, 'done', {
+      response: response.text,
+      sentences: response.sentences,
+      citations: response.citations,
+      invalidCitations: response.invalidCitations,
+      timestamps: response.timestamps,
+      sources: response.sources,
+      conversationId: conversationRecord.conversation_id,
+      messageId: conversationRecord.id
     });
+    res.end();
     
-    // Step 4: Generate response using OpenAI
-    console.log('🤖 Step 3: Generating AI response...');
-    const aiResponse = await generateAIResponse(message, context, videoData);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return;
+    }
     
-    // Step 5: Extract timestamps from response
-    const timestamps = extractTimestamps(aiResponse, context);
+    console.error('❌ Streaming chat error:', error.message);
     
-    console.log('🕐 Generated timestamps:', timestamps);
-    console.log('📊 Context chunks with timestamps:', context.map(c => ({
-      startTime: c.startTime,
-      endTime: c.endTime,
-      text: c.text.substring(0, 50) + '...'
-    })));
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    sendEvent(res, 'error', { error: error.message });
+    res.end();
+  }
+});
+
+/**
+ * Validate the retrieval settings of a chat request
+ * @param {Object} retrieval - { keywordWeight } (optional)
+ * @returns {Object} - { keywordWeight } or { error }
+ */
+function parseRetrievalOptions(retrieval) {
+  if (retrieval !== undefined && (typeof retrieval !== 'object' || retrieval === null || Array.isArray(retrieval))) {
+    return { error: 'retrieval must be an object' };
+  }
+  
+  try {
+    return { keywordWeight: hybridRetriever.parseWeight(retrieval?.keywordWeight) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * @param {*} playerTime - Player position sent with a chat request (optional)
+ * @returns {boolean} - Whether it is missing or a usable number of seconds
+ */
+function isValidPlayerTime(playerTime) {
+  return playerTime === undefined || playerTime === null
+    || (typeof playerTime === 'number' && Number.isFinite(playerTime) && playerTime >= 0);
+}
+
+/**
+ * Describe a chat request's scope for logging
+ * @param {string} videoId - Video ID
+ * @param {Array<string>} videoIds - Video IDs
+ * @param {string} subject - Subject / course name
+ * @returns {string} - Human-readable scope
+ */
+function describeScope(videoId, videoIds, subject) {
+  if (videoId) {
+    return `video ${videoId}`;
+  }
+  
+  const parts = [];
+  if (subject) parts.push(`subject "${subject}"`);
+  if (Array.isArray(videoIds)) parts.push(`${videoIds.length} videos`);
+  
+  return `course (${parts.join(', ')})`;
+}
+
+/**
+ * Write a Server-Sent Event
+ * @param {Response} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Generate RAG-based response
+ * @param {string} message - User message
+ * @param {Object} scope - Lectures to answer from ({ videoId, subject, videos })
+ * @param {Object} options - { history, retrieval, playerTime, onToken, signal }; answer tokens are streamed to onToken when given
+ * @returns {Promise<Object>} - Response with text, timestamps, and sources
+ */
+async function generateRAGResponse(message, scope, options = {}) {
+  const { history = [], retrieval = {}, playerTime = null, onToken = null, signal } = options;
+  
+  try {
+    console.log('🧠 Generating RAG response...');
     
-    console.log('✅ RAG response generated successfully');
+    // A question about a moment is answered from what was said then, not from what sounds similar
+    const timeReference = scope.videoId
+      ? await detectTimeReference(message, scope, playerTime)
+      : null;
     
-    return {
-      text: aiResponse,
-      timestamps: timestamps,
-      sources: context.map(c => ({
-        text: c.text.substring(0, 200) + '...',
-        startTime: c.startTime,
-        endTime: c.endTime,
-        score: c.score
-      }))
-    };
+    let context;
+    if (timeReference) {
+      context = await loadTimeWindowContext(scope, timeReference);
+    } else {
+      // Follow-ups like "explain that again" retrieve nothing useful on their own
+      const searchQuery = await rewriteQuery(message, history);
+      context = await retrieveContext(searchQuery, scope, retrieval);
+    }
+    
+    if (context.length === 0) {
+      const response = timeReference ? noTranscriptAtTimeResponse(timeReference) : noContentResponse(scope);
+      onToken?.(response.text);
+      return response;
+    }
+    
+    // Step 4: Generate response using OpenAI
+    console.log('🤖 Step 3: Generating AI response...');
+    const messages = buildChatMessages(message, context, scope, history, timeReference);
+    const aiResponse = onToken
+      ? await generateAIResponseStream(messages, onToken, signal)
+      : await generateAIResponse(messages);
+    
+    return buildRAGResult(aiResponse, context);
     
   } catch (error) {
     console.error('❌ RAG generation error:', error.message);
@@ -223,45 +426,460 @@ async function generateRAGResponse(message, videoId, videoData) {
 }
 
 /**
- * Generate AI response using OpenAI
+ * Load the most recent turns of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string|null} videoId - Video ID, or null for a course-wide conversation
+ * @returns {Promise<Array>} - Turns ({ user_message, ai_response }) oldest first
+ */
+async function loadConversationHistory(conversationId, videoId) {
+  if (!conversationId) {
+    return [];
+  }
+  
+  try {
+    let query = getSupabase()
+      .from('chat_conversations')
+      .select('user_message, ai_response, created_at')
+      .eq('conversation_id', conversationId);
+    
+    query = videoId ? query.eq('video_id', videoId) : query.is('video_id', null);
+    
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(historyTurns);
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    console.log(`📜 Loaded ${data.length} previous turns`);
+    return data.reverse();
+    
+  } catch (error) {
+    // A missing history shouldn't block answering the question
+    console.warn('⚠️  Conversation history warning:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Rewrite a follow-up question into a standalone search query using the conversation so far
  * @param {string} message - User message
- * @param {Array} context - Relevant context chunks
- * @param {Object} videoData - Video metadata
- * @returns {Promise<string>} - AI response
+ * @param {Array} history - Previous turns, oldest first
+ * @returns {Promise<string>} - Standalone query (the original message if there is no history)
  */
-async function generateAIResponse(message, context, videoData) {
+async function rewriteQuery(message, history) {
+  if (history.length === 0) {
+    return message;
+  }
+  
   try {
-    const contextText = context
-      .map((chunk, index) => 
-        `[Context ${index + 1}] (${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}): ${chunk.text}`
-      )
+    const transcript = history
+      .map(turn => `User: ${turn.user_message}\nAssistant: ${turn.ai_response}`)
       .join('\n\n');
     
-    const systemPrompt = `You are an AI assistant helping users understand video content. You have access to transcribed segments from a video titled "${videoData.title}" in the subject area of "${videoData.subject}".
+    const response = await getOpenAI().chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the user\'s latest question as a standalone search query about the lecture, resolving references like "that", "it" or "again" from the conversation. Reply with the query only.'
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${transcript}\n\nLatest question: ${message}`
+        }
+      ],
+      max_tokens: 100,
+      temperature: 0
+    });
+    
+    const rewritten = response.choices[0].message.content.trim();
+    console.log(`✍️  Rewrote query: "${message}" → "${rewritten}"`);
+    
+    return rewritten || message;
+    
+  } catch (error) {
+    console.warn('⚠️  Query rewrite warning:', error.message);
+    return message;
+  }
+}
+
+/**
+ * Retrieve the transcript chunks most relevant to a message
+ * @param {string} message - User message
+ * @param {Object} scope - Lectures to search ({ videoId, subject, videos })
+ * @param {Object} retrieval - { keywordWeight } share of the ranking given to keyword matches
+ * @returns {Promise<Array>} - Context chunks (empty when nothing relevant was found)
+ */
+async function retrieveContext(message, scope, retrieval = {}) {
+  const isCourse = !scope.videoId;
+  const topK = isCourse ? 8 : 5;
+  
+  // Step 1: Rank chunks by vector similarity and keyword relevance, fused into one list
+  console.log('🔍 Step 1: Searching for relevant content...');
+  const candidateCount = reranker.candidateCount(topK);
+  const candidates = await hybridRetriever.retrieve(message, {
+    videoIds: isCourse ? scope.videos.map(video => video.id) : [scope.videoId],
+    topK: candidateCount,
+    // The reranker already overfetches, so each retriever ranks just as many chunks rather than a multiple
+    candidates: reranker.isEnabled() ? candidateCount : undefined,
+    keywordWeight: retrieval.keywordWeight
+  });
+  
+  // Step 2: Rescore the candidates against the question and drop the ones that do not help
+  console.log('⚖️  Step 2: Reranking candidates...');
+  const searchResults = await reranker.rerank(message, candidates, { topK });
+  
+  if (searchResults.length === 0) {
+    console.log(`⚠️  None of ${candidates.length} candidates is relevant enough to answer from`);
+    return [];
+  }
+  
+  console.log(`✅ Found ${searchResults.length} relevant chunks`);
+  
+  // Log scores for debugging
+  searchResults.forEach((result, index) => {
+    const rerankScore = result.rerankScore != null ? `, rerank ${result.rerankScore.toFixed(2)}` : '';
+    console.log(`   Chunk ${index + 1}: Score ${result.score.toFixed(4)}${rerankScore} (${result.matchTypes.join(' + ')}) - "${result.text.substring(0, 100)}..."`);
+  });
+  
+  // Step 3: Prepare context from search results, grown into whole passages with the chunks around each hit
+  const passages = await contextExpander.expand(searchResults).catch(error => {
+    console.warn('⚠️  Context expansion failed, using the matched chunks only:', error.message);
+    return searchResults;
+  });
+  
+  return passages.map((result, index) => {
+    const videoIndex = scope.videos.findIndex(video => video.id === result.videoId);
+    const contextChunk = {
+      index: index + 1,
+      videoId: result.videoId,
+      videoTitle: scope.videos[videoIndex]?.title || result.title,
+      lecture: videoIndex + 1,
+      chunkIndex: result.chunkIndex,
+      chunkIndices: result.chunkIndices || [result.chunkIndex],
+      text: result.text,
+      startTime: result.startTime,
+      endTime: result.endTime,
+      confidence: result.confidence,
+      score: result.score,
+      similarity: result.similarity ?? null,
+      rerankScore: result.rerankScore ?? null,
+      matchTypes: result.matchTypes
+    };
+    
+    // Log timestamp info for debugging
+    console.log(`   Context ${index + 1}: ${formatTime(contextChunk.startTime)} - ${formatTime(contextChunk.endTime)}`);
+    
+    return contextChunk;
+  });
+}
+
+/**
+ * Find the moment of a single lecture a question refers to, if any
+ * @param {string} message - User message
+ * @param {Object} scope - Single-lecture scope ({ videoId, videos })
+ * @param {number|null} playerTime - Player position in seconds
+ * @returns {Promise<Object|null>} - { kind, time, start, end, transcriptId }, or null to answer by search
+ *   (no reference, no timed transcript, or a moment past the end of the lecture)
+ */
+async function detectTimeReference(message, scope, playerTime) {
+  const reference = timeReferenceParser.parse(message, { playerTime });
+  if (!reference) {
+    return null;
+  }
+  
+  const { data: transcript, error } = await getSupabase()
+    .from('transcripts')
+    .select('id')
+    .eq('video_id', scope.videoId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) {
+    throw new Error(`Transcript lookup failed: ${error.message}`);
+  }
+  
+  if (!transcript) {
+    return null;
+  }
+  
+  // The lecture ends where its last segment does
+  const { data: lastSegment, error: segmentError } = await getSupabase()
+    .from('transcript_segments')
+    .select('end_time')
+    .eq('transcript_id', transcript.id)
+    .order('end_time', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (segmentError) {
+    throw new Error(`Transcript length lookup failed: ${segmentError.message}`);
+  }
+  
+  if (!lastSegment) {
+    return null;
+  }
+  
+  const fitted = timeReferenceParser.fitToDuration(reference, lastSegment.end_time);
+  if (!fitted) {
+    console.log(`⚠️  Time reference ${formatTime(reference.time)} is past the end of the lecture (${formatTime(lastSegment.end_time)}), searching instead`);
+    return null;
+  }
+  
+  return { ...fitted, transcriptId: transcript.id };
+}
+
+/**
+ * Load the transcript around the moment a question refers to, as context chunks
+ * @param {Object} scope - Single-lecture scope ({ videoId, videos })
+ * @param {Object} timeReference - { kind, time, start, end, transcriptId } from detectTimeReference
+ * @returns {Promise<Array>} - Context chunks covering the window in playback order (empty without transcript there)
+ */
+async function loadTimeWindowContext(scope, timeReference) {
+  console.log(`🕐 Reading transcript ${formatTime(timeReference.start)} - ${formatTime(timeReference.end)} (${timeReference.kind} time reference)`);
+  
+  const { data: segments, error: segmentsError } = await getSupabase()
+    .from('transcript_segments')
+    .select('start_time, end_time, text')
+    .eq('transcript_id', timeReference.transcriptId)
+    .gte('end_time', timeReference.start)
+    .lte('start_time', timeReference.end)
+    .order('segment_index', { ascending: true })
+    .limit(1000);
+  
+  if (segmentsError) {
+    throw new Error(`Transcript window load failed: ${segmentsError.message}`);
+  }
+  
+  // Shorter blocks let the answer cite the exact part of the window it used
+  const blocks = [];
+  for (const segment of segments) {
+    const block = blocks[blocks.length - 1];
+    if (block && segment.start_time - block.startTime < timeWindowBlockSeconds) {
+      block.text = `${block.text} ${segment.text.trim()}`;
+      block.endTime = segment.end_time;
+    } else {
+      blocks.push({ text: segment.text.trim(), startTime: segment.start_time, endTime: segment.end_time });
+    }
+  }
+  
+  console.log(`✅ Found ${segments.length} segments in ${blocks.length} blocks`);
+  
+  return blocks.map((block, index) => ({
+    index: index + 1,
+    videoId: scope.videoId,
+    videoTitle: scope.videos[0].title,
+    lecture: 1,
+    chunkIndex: null,
+    chunkIndices: [],
+    text: block.text,
+    startTime: block.startTime,
+    endTime: block.endTime,
+    confidence: null,
+    score: null,
+    similarity: null,
+    rerankScore: null,
+    matchTypes: ['time']
+  }));
+}
+
+/**
+ * Response used when a question refers to a moment the transcript has nothing for
+ * @param {Object} timeReference - { kind, time, start, end }
+ * @returns {Object} - Response with text, timestamps, and sources
+ */
+function noTranscriptAtTimeResponse(timeReference) {
+  const when = timeReference.kind === 'absolute'
+    ? `around ${formatTime(timeReference.time)}`
+    : `between ${formatTime(timeReference.start)} and ${formatTime(timeReference.end)}`;
+  
+  return {
+    text: `I couldn't find anything in the transcript ${when}. Nothing may have been said at that point.`,
+    sentences: [],
+    citations: [],
+    invalidCitations: [],
+    timestamps: [],
+    sources: []
+  };
+}
+
+/**
+ * Response used when retrieval finds nothing to answer from
+ * @param {Object} scope - Lectures that were searched
+ * @returns {Object} - Response with text, timestamps, and sources
+ */
+function noContentResponse(scope) {
+  const where = scope.videoId ? 'this video' : 'these lectures';
+  
+  return {
+    text: `I couldn't find relevant information in ${where} to answer your question. This might be because the video hasn't been fully processed yet, or your question is about content not covered in ${where}. Could you try rephrasing your question or asking about a different topic?`,
+    sentences: [],
+    citations: [],
+    invalidCitations: [],
+    timestamps: [],
+    sources: []
+  };
+}
+
+/**
+ * Check the citations of a generated answer and attach them, with timestamps and sources
+ * @param {string} aiResponse - Generated answer text, citing context blocks as [N]
+ * @param {Array} context - Context chunks the answer was generated from (block N is context[N - 1])
+ * @returns {Object} - Response with text, sentences, citations, invalidCitations, timestamps, and sources
+ */
+function buildRAGResult(aiResponse, context) {
+  // Step 5: Resolve the cited context blocks; citations of blocks that were never supplied are dropped
+  const { text, sentences, citations, invalidCitations } = citationService.resolve(aiResponse, context);
+  
+  // Timestamps are the cited moments, for clients that only show a list of jump links
+  const timestamps = citations.map(citation => ({
+    videoId: citation.videoId,
+    videoTitle: citation.videoTitle,
+    time: citation.startTime,
+    timeString: formatTime(citation.startTime),
+    text: citation.text,
+    startTime: citation.startTime,
+    endTime: citation.endTime
+  }));
+  
+  console.log('✅ RAG response generated successfully');
+  
+  return {
+    text: text,
+    sentences: sentences,
+    citations: citations,
+    invalidCitations: invalidCitations,
+    timestamps: timestamps,
+    sources: context.map(c => ({
+      block: c.index,
+      videoId: c.videoId,
+      videoTitle: c.videoTitle,
+      text: c.text.substring(0, 200) + '...',
+      startTime: c.startTime,
+      endTime: c.endTime,
+      score: c.score,
+      similarity: c.similarity,
+      rerankScore: c.rerankScore,
+      matchTypes: c.matchTypes
+    }))
+  };
+}
 
-Your task is to answer the user's question based ONLY on the provided context from the video transcript. Follow these guidelines:
+/**
+ * Build the chat completion messages for a question and its context
+ * @param {string} message - User message
+ * @param {Array} context - Relevant context chunks
+ * @param {Object} scope - Lectures the context came from ({ videoId, subject, videos })
+ * @param {Array} history - Previous turns, oldest first
+ * @param {Object|null} timeReference - Moment the question refers to, when the context is the transcript around it
+ * @returns {Array} - Chat completion messages
+ */
+function buildChatMessages(message, context, scope, history = [], timeReference = null) {
+  const systemPrompt = scope.videoId
+    ? buildVideoPrompt(context, scope.videos[0], timeReference)
+    : buildCoursePrompt(context, scope);
+  
+  const userPrompt = `Question: ${message}`;
+  
+  const previousTurns = history.flatMap(turn => [
+    { role: 'user', content: `Question: ${turn.user_message}` },
+    { role: 'assistant', content: turn.ai_response }
+  ]);
+  
+  return [
+    { role: 'system', content: systemPrompt },
+    ...previousTurns,
+    { role: 'user', content: userPrompt }
+  ];
+}
+
+/**
+ * System prompt for a chat about a single video
+ * @param {Array} context - Relevant context chunks
+ * @param {Object} videoData - Video metadata
+ * @param {Object|null} timeReference - Moment the question refers to (optional)
+ * @returns {string} - System prompt
+ */
+function buildVideoPrompt(context, videoData, timeReference = null) {
+  const contextText = context
+    .map((chunk, index) => 
+      `[${index + 1}] (${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}): ${chunk.text}`
+    )
+    .join('\n\n');
+  
+  const focus = timeReference
+    ? `\n\nThe user is asking about what happens ${timeReference.kind === 'absolute' ? `around ${formatTime(timeReference.time)}` : `between ${formatTime(timeReference.start)} and ${formatTime(timeReference.end)}`} in the video. The context below is the transcript of that part of the video, in order; answer from it and cite the blocks you draw on.`
+    : '';
+  
+  return `You are an AI assistant helping users understand video content. You have access to transcribed segments from a video titled "${videoData.title}" in the subject area of "${videoData.subject}".${focus}
+
+Your task is to answer the user's question based ONLY on the provided context from the video transcript. The context is split into numbered blocks. Follow these guidelines:
 
 1. Answer directly and concisely based on the provided context
-2. ALWAYS reference the time range where information appears using the format [MM:SS] or [HH:MM:SS]
-3. If the context doesn't contain enough information to answer the question, say so clearly
-4. Use natural language and be conversational
-5. When mentioning specific concepts or information, include the timestamp from the context
+2. End EVERY sentence that uses the context with the number of each block it relies on, in square brackets, e.g. [2] or [1][3]
+3. Only cite block numbers that appear in the context; don't write timestamps yourself, the citations link to the video
+4. If the context doesn't contain enough information to answer the question, say so clearly
+5. Use natural language and be conversational
 6. Don't make up information that's not in the provided context
-7. If multiple time ranges are relevant, mention all of them
 
-Example: "The concept of machine learning is explained at [05:30], and practical examples are shown at [12:45]."
+Example: "The concept of machine learning is introduced as learning patterns from data [1]. Practical examples follow with spam filters and image recognition [3][4]."
 
 Context from video transcript:
-${contextText}`
-    
-    const userPrompt = `Question: ${message}`;
-    
+${contextText}`;
+}
+
+/**
+ * System prompt for a chat across the lectures of a course
+ * @param {Array} context - Relevant context chunks
+ * @param {Object} scope - Lectures the context came from
+ * @returns {string} - System prompt
+ */
+function buildCoursePrompt(context, scope) {
+  const lectureList = scope.videos
+    .map((video, index) => `Lecture ${index + 1}: "${video.title}"`)
+    .join('\n');
+  
+  const contextText = context
+    .map((chunk, index) =>
+      `[${index + 1}] Lecture ${chunk.lecture} (${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}): ${chunk.text}`
+    )
+    .join('\n\n');
+  
+  const course = scope.subject ? ` from the course "${scope.subject}"` : '';
+  
+  return `You are an AI assistant helping users understand lecture content. You have access to transcribed segments from several lectures${course}:
+${lectureList}
+
+Your task is to answer the user's question based ONLY on the provided context from the lecture transcripts. The context is split into numbered blocks. Follow these guidelines:
+
+1. Answer directly and concisely based on the provided context
+2. End EVERY sentence that uses the context with the number of each block it relies on, in square brackets, e.g. [2] or [1][3]
+3. Only cite block numbers that appear in the context; don't write timestamps yourself, the citations link to the lectures
+4. Name the lecture when it helps the user find the moment
+5. If the context doesn't contain enough information to answer the question, say so clearly
+6. Use natural language and be conversational
+7. Don't make up information that's not in the provided context
+8. If several lectures cover the topic, mention all of them
+
+Example: "Entropy is first defined in Lecture 2 as a measure of disorder [1]. Lecture 5 revisits it with worked examples [3][4]."
+
+Context from lecture transcripts:
+${contextText}`;
+}
+
+/**
+ * Generate AI response using OpenAI
+ * @param {Array} messages - Chat completion messages
+ * @returns {Promise<string>} - AI response
+ */
+async function generateAIResponse(messages) {
+  try {
     const response = await getOpenAI().chat.completions.create({
       model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
+      messages: messages,
       max_tokens: 500,
       temperature: 0.7
     });
@@ -275,81 +893,49 @@ ${contextText}`
 }
 
 /**
- * Extract timestamps mentioned in the AI response
- * @param {string} response - AI response text
- * @param {Array} context - Context chunks with timestamps
- * @returns {Array} - Array of timestamp objects
+ * Generate AI response using OpenAI, streaming tokens as they arrive
+ * @param {Array} messages - Chat completion messages
+ * @param {Function} onToken - Called with each text delta
+ * @param {AbortSignal} signal - Aborts the completion request
+ * @returns {Promise<string>} - Full AI response
  */
-function extractTimestamps(response, context) {
-  const timestamps = [];
-  
-  // Look for timestamp patterns in the response [MM:SS] or [HH:MM:SS]
-  const timestampRegex = /\[(\d{1,2}:\d{2}(?::\d{2})?)\]/g;
-  let match;
-  
-  while ((match = timestampRegex.exec(response)) !== null) {
-    const timeString = match[1];
-    const seconds = parseTimeString(timeString);
+async function generateAIResponseStream(messages, onToken, signal) {
+  try {
+    const stream = await getOpenAI().chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: messages,
+      max_tokens: 500,
+      temperature: 0.7,
+      stream: true
+    }, { signal });
     
-    // Find the corresponding context chunk
-    const contextChunk = context.find(chunk => 
-      seconds >= chunk.startTime && seconds <= chunk.endTime
-    );
+    let fullText = '';
     
-    if (contextChunk) {
-      timestamps.push({
-        time: seconds,
-        timeString: timeString,
-        text: contextChunk.text.substring(0, 100) + '...',
-        startTime: contextChunk.startTime,
-        endTime: contextChunk.endTime
-      });
-    }
-  }
-  
-  // If no explicit timestamps in response, include timestamps from all relevant chunks
-  if (timestamps.length === 0 && context.length > 0) {
-    console.log('⚠️  No explicit timestamps found in AI response, using context chunks');
-    
-    // Add timestamps for all context chunks that have valid timestamps
-    context.forEach((chunk, index) => {
-      // Ensure we have valid timestamp data
-      const startTime = chunk.startTime || 0;
-      const endTime = chunk.endTime || startTime + 30; // Default 30 second duration if no end time
-      
-      if (startTime >= 0) {
-        timestamps.push({
-          time: startTime,
-          timeString: formatTime(startTime),
-          text: chunk.text.substring(0, 100) + '...',
-          startTime: startTime,
-          endTime: endTime
-        });
-        
-        console.log(`   Added timestamp: ${formatTime(startTime)} - "${chunk.text.substring(0, 50)}..."`);
+    for await (const part of stream) {
+      const token = part.choices[0]?.delta?.content;
+      if (token) {
+        fullText += token;
+        onToken(token);
       }
-    });
+    }
+    
+    return fullText;
+    
+  } catch (error) {
+    console.error('❌ OpenAI API error:', error.message);
+    throw new Error(`AI response generation failed: ${error.message}`);
   }
-  
-  // Remove duplicates based on time
-  const uniqueTimestamps = timestamps.filter((timestamp, index, self) => 
-    index === self.findIndex(t => Math.abs(t.time - timestamp.time) < 5) // Within 5 seconds
-  );
-  
-  console.log(`📍 Extracted ${uniqueTimestamps.length} unique timestamps`);
-  
-  return uniqueTimestamps;
 }
 
 /**
  * Save conversation to database
- * @param {string} videoId - Video ID
+ * @param {Object} scope - Lectures the conversation is about ({ videoId, subject, videos })
  * @param {string} conversationId - Conversation ID (optional)
  * @param {string} userMessage - User message
  * @param {Object} aiResponse - AI response object
  * @returns {Promise<Object>} - Saved conversation record
  */
-async function saveConversation(videoId, conversationId, userMessage, aiResponse) {
+async function saveConversation(scope, conversationId, userMessage, aiResponse) {
   try {
     // Generate conversation ID if not provided
     if (!conversationId) {
@@ -363,9 +949,13 @@ async function saveConversation(videoId, conversationId, userMessage, aiResponse
       .from('chat_conversations')
       .insert({
         conversation_id: conversationId,
-        video_id: videoId,
+        video_id: scope.videoId,
+        video_ids: scope.videos.map(video => video.id),
+        subject: scope.subject,
         user_message: userMessage,
         ai_response: aiResponse.text,
+        citations: aiResponse.citations,
+        citation_spans: aiResponse.sentences,
         timestamps: aiResponse.timestamps,
         sources: aiResponse.sources,
         created_at: new Date().toISOString()
@@ -410,6 +1000,58 @@ async function ensureChatConversationsTable() {
   }
 }
 
+/**
+ * GET /api/chat/history
+ * Get course-wide chat history, by `conversationId` and/or `subject`
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { conversationId, subject, limit = 50 } = req.query;
+    
+    if (!conversationId && !subject) {
+      return res.status(400).json({
+        success: false,
+        error: 'Conversation ID or subject is required'
+      });
+    }
+    
+    console.log(`📜 Course chat history request: ${conversationId || subject}`);
+    
+    let query = getSupabase()
+      .from('chat_conversations')
+      .select('*')
+      .is('video_id', null)
+      .order('created_at', { ascending: true })
+      .limit(parseInt(limit));
+    
+    if (conversationId) {
+      query = query.eq('conversation_id', conversationId);
+    }
+    
+    if (subject) {
+      query = query.eq('subject', subject);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    res.json({
+      success: true,
+      conversations: data
+    });
+    
+  } catch (error) {
+    console.error('❌ Chat history error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/chat/history/:videoId
  * Get chat history for a video
@@ -508,23 +1150,4 @@ function formatTime(seconds) {
   }
 }
 
-/**
- * Parse time string (MM:SS or HH:MM:SS) to seconds
- * @param {string} timeString - Time string
- * @returns {number} - Seconds
- */
-function parseTimeString(timeString) {
-  const parts = timeString.split(':').map(Number);
-  
-  if (parts.length === 2) {
-    // MM:SS
-    return parts[0] * 60 + parts[1];
-  } else if (parts.length === 3) {
-    // HH:MM:SS
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  }
-  
-  return 0;
-}
-
 export default router;
\ No newline at end of file
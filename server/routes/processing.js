@@ -2,6 +2,8 @@ import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import PineconeService from '../services/pineconeService.js';
 import ProcessingService from '../services/processingService.js';
+import TranscriptExporter from '../services/transcriptExporter.js';
+import SearchService from '../services/searchService.js';
 
 const router = express.Router();
 
@@ -17,6 +19,10 @@ function getSupabase() {
   return supabase;
 }
 const processingService = new ProcessingService();
+const transcriptExporter = new TranscriptExporter();
+const searchService = new SearchService();
+
+const logLevels = ['info', 'success', 'warn', 'error'];
 
 /**
  * GET /api/processing/status/:videoId
@@ -86,10 +92,19 @@ router.get('/status/:videoId', async (req, res) => {
       .select('*', { count: 'exact', head: true })
       .eq('video_id', videoId);
     
+    // Get queue state for the latest processing job
+    let jobData = null;
+    try {
+      jobData = await req.app.locals.jobQueue.getLatestJob(videoId);
+    } catch (jobError) {
+      console.warn('⚠️  Job lookup warning:', jobError.message);
+    }
+    
     const response = {
       success: true,
       video: videoData,
       processing: {
+        job: jobData,
         transcript: transcriptData,
         chunks: {
           total: chunksCount || 0,
@@ -110,13 +125,120 @@ router.get('/status/:videoId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/processing/events/:videoId
+ * Stream processing events for one video as Server-Sent Events:
+ * `status` ({ status, stage, progress, error }) on every stage change,
+ * `progress` ({ stage, progress, current, total, unit }) within a stage,
+ * and `completed` ({ result }) when the pipeline finishes.
+ * The first event is a `status` snapshot of the video's current state
+ */
+router.get('/events/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const { data: videoData, error: videoError } = await getSupabase()
+      .from('videos')
+      .select('id, status, processing_stage, processing_progress, error_message')
+      .eq('id', videoId)
+      .single();
+    
+    if (videoError) {
+      if (videoError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found'
+        });
+      }
+      throw new Error(videoError.message);
+    }
+    
+    console.log(`📡 Processing event stream opened for video: ${videoId}`);
+    
+    openEventStream(req, res, videoId);
+    
+    sendEvent(res, 'status', {
+      videoId: videoData.id,
+      status: videoData.status,
+      stage: videoData.processing_stage,
+      progress: videoData.processing_progress || 0,
+      error: videoData.error_message
+    });
+    
+    // Catch up on progress published before this client connected
+    const latest = req.app.locals.progressHub.getLatest(videoId);
+    if (latest && videoData.status === 'processing') {
+      sendEvent(res, latest.type, latest.data);
+    }
+    
+  } catch (error) {
+    console.error('❌ Processing events error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/processing/events
+ * Stream processing events for every video (same events as /events/:videoId, without the snapshot)
+ */
+router.get('/events', (req, res) => {
+  console.log('📡 Processing event stream opened for all videos');
+  openEventStream(req, res, '*');
+});
+
+/**
+ * Start a Server-Sent Events response fed by the progress hub
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {string} channel - Video ID, or '*' for all videos
+ */
+function openEventStream(req, res, channel) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const unsubscribe = req.app.locals.progressHub.subscribe(channel, (event) => {
+    sendEvent(res, event.type, event.data);
+  });
+  
+  // Comments keep proxies from closing an idle stream during long stages
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+}
+
+/**
+ * Write a Server-Sent Event
+ * @param {Response} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * GET /api/processing/transcript/:videoId
- * Get full transcript for a video
+ * Get full transcript for a video with its timed segments
+ * Query: limit, offset (segment pagination), start, end (seconds; segments overlapping the range)
  */
 router.get('/transcript/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { limit = 100, offset = 0, start, end } = req.query;
+    
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
     
     console.log(`📝 Transcript request for video: ${videoId}`);
     
@@ -136,9 +258,51 @@ router.get('/transcript/:videoId', async (req, res) => {
       throw new Error(error.message);
     }
     
+    let segmentsQuery = getSupabase()
+      .from('transcript_segments')
+      .select('segment_index, start_time, end_time, text, confidence', { count: 'exact' })
+      .eq('transcript_id', data.id);
+    
+    if (start !== undefined) {
+      const rangeStart = parseFloat(start);
+      if (isNaN(rangeStart)) {
+        return res.status(400).json({ success: false, error: 'start must be a number of seconds' });
+      }
+      segmentsQuery = segmentsQuery.gte('end_time', rangeStart);
+    }
+    
+    if (end !== undefined) {
+      const rangeEnd = parseFloat(end);
+      if (isNaN(rangeEnd)) {
+        return res.status(400).json({ success: false, error: 'end must be a number of seconds' });
+      }
+      segmentsQuery = segmentsQuery.lte('start_time', rangeEnd);
+    }
+    
+    const { data: segments, error: segmentsError, count } = await segmentsQuery
+      .order('segment_index', { ascending: true })
+      .range(pageOffset, pageOffset + pageLimit - 1);
+    
+    if (segmentsError) {
+      throw new Error(segmentsError.message);
+    }
+    
     res.json({
       success: true,
-      transcript: data
+      transcript: data,
+      segments: segments.map(segment => ({
+        index: segment.segment_index,
+        start: segment.start_time,
+        end: segment.end_time,
+        text: segment.text,
+        confidence: segment.confidence
+      })),
+      pagination: {
+        total: count,
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: count > pageOffset + pageLimit
+      }
     });
     
   } catch (error) {
@@ -150,6 +314,221 @@ router.get('/transcript/:videoId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/processing/transcript/:videoId/export
+ * Download the transcript as a file
+ * Query: format (srt, vtt, txt or md; default txt)
+ */
+router.get('/transcript/:videoId/export', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { format = 'txt' } = req.query;
+    
+    if (!transcriptExporter.formats[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Allowed values: ${Object.keys(transcriptExporter.formats).join(', ')}`
+      });
+    }
+    
+    console.log(`📄 Transcript export (${format}) for video: ${videoId}`);
+    
+    const { data: videoData, error: videoError } = await getSupabase()
+      .from('videos')
+      .select('id, title')
+      .eq('id', videoId)
+      .single();
+    
+    if (videoError) {
+      if (videoError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found'
+        });
+      }
+      throw new Error(videoError.message);
+    }
+    
+    let transcript;
+    try {
+      transcript = await processingService.loadTranscript(videoId);
+    } catch (loadError) {
+      if (loadError.message === 'No saved transcript found for this video') {
+        return res.status(404).json({
+          success: false,
+          error: 'Transcript not found'
+        });
+      }
+      throw loadError;
+    }
+    
+    const { text, segments, language, duration } = transcript.transcriptionResult;
+    
+    // Transcripts saved before segments were stored export as one block
+    const exportSegments = segments.length > 0
+      ? segments
+      : [{ start: 0, end: duration, text: text }];
+    
+    const content = transcriptExporter.render(format, {
+      title: videoData.title,
+      language: language,
+      segments: exportSegments
+    });
+    
+    res.setHeader('Content-Type', transcriptExporter.formats[format].contentType);
+    res.setHeader('Content-Disposition', transcriptExporter.contentDisposition(videoData.title, format));
+    res.send(content);
+    
+  } catch (error) {
+    console.error('❌ Transcript export error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/processing/transcript/:videoId/search
+ * Keyword search within a video's transcript, hits in playback order
+ * Query: q (search terms), limit, offset
+ */
+router.get('/transcript/:videoId/search', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { q, limit = searchService.defaultLimit, offset = 0 } = req.query;
+    
+    const pageLimit = Math.min(Math.max(parseInt(limit) || searchService.defaultLimit, 1), searchService.maxLimit);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+    
+    let query;
+    try {
+      query = searchService.validateQuery(q);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    console.log(`🔎 Transcript search for video ${videoId}: "${query}"`);
+    
+    const { hits, total } = await searchService.searchTranscript(videoId, query, {
+      limit: pageLimit,
+      offset: pageOffset
+    });
+    
+    res.json({
+      success: true,
+      query: query,
+      hits: hits,
+      pagination: {
+        total: total,
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: total > pageOffset + pageLimit
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Transcript search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/processing/captions/:videoId
+ * List the caption tracks available for the player
+ */
+router.get('/captions/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const transcript = await loadCaptionTranscript(videoId);
+    if (!transcript) {
+      return res.json({
+        success: true,
+        tracks: []
+      });
+    }
+    
+    // Only the original transcript has captions for now; translations are listed here as they become available
+    const language = transcript.transcriptionResult.language;
+    
+    res.json({
+      success: true,
+      tracks: [{
+        language: language,
+        label: transcriptExporter.languageLabel(language),
+        src: `/api/processing/captions/${videoId}/${encodeURIComponent(language)}`,
+        original: true
+      }]
+    });
+    
+  } catch (error) {
+    console.error('❌ Caption tracks error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/processing/captions/:videoId/:language
+ * WebVTT captions generated from the stored transcript segments
+ */
+router.get('/captions/:videoId/:language', async (req, res) => {
+  try {
+    const { videoId, language } = req.params;
+    
+    const transcript = await loadCaptionTranscript(videoId);
+    if (!transcript || transcript.transcriptionResult.language !== language) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${language} captions for this video`
+      });
+    }
+    
+    const { text, segments, duration } = transcript.transcriptionResult;
+    
+    // Transcripts saved before segments were stored show as one cue
+    const captionSegments = segments.length > 0
+      ? segments
+      : [{ start: 0, end: duration, text: text }];
+    
+    res.setHeader('Content-Type', transcriptExporter.formats.vtt.contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(transcriptExporter.toVtt(captionSegments, language));
+    
+  } catch (error) {
+    console.error('❌ Captions error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Load the transcript captions are built from
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object|null>} - Saved transcript, or null when the video has none yet
+ */
+async function loadCaptionTranscript(videoId) {
+  try {
+    return await processingService.loadTranscript(videoId);
+  } catch (error) {
+    if (error.message === 'No saved transcript found for this video') {
+      return null;
+    }
+    throw error;
+  }
+}
+
 /**
  * GET /api/processing/chunks/:videoId
  * Get text chunks for a video
@@ -192,20 +571,53 @@ router.get('/chunks/:videoId', async (req, res) => {
   }
 });
 
+/**
+ * Check that a file is still in the lecture-videos bucket
+ * @param {string} filePath - Path within the bucket (e.g. "captions/<name>.srt")
+ * @returns {Promise<boolean>} - Whether the file exists
+ */
+async function storedFileExists(filePath) {
+  const folder = filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '';
+  const name = filePath.slice(filePath.lastIndexOf('/') + 1);
+  
+  const { data: storedFiles, error } = await getSupabase()
+    .storage
+    .from('lecture-videos')
+    .list(folder, { search: name });
+  
+  if (error) {
+    throw new Error(`Storage lookup failed: ${error.message}`);
+  }
+  
+  return Boolean(storedFiles?.some(file => file.name === name));
+}
+
 /**
  * POST /api/processing/reprocess/:videoId
- * Reprocess a video (restart the processing pipeline)
+ * Reprocess a video (re-run the processing pipeline)
+ * Body: { fromStage } - 'extracting_audio' (default, full run from the stored original),
+ * 'chunking' (re-chunk + re-embed the saved transcript) or 'embedding' (re-embed saved chunks)
  */
 router.post('/reprocess/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
+    const stages = processingService.processingStages;
+    const { fromStage = stages.EXTRACTING_AUDIO } = req.body || {};
     
-    console.log(`🔄 Reprocess request for video: ${videoId}`);
+    console.log(`🔄 Reprocess request for video: ${videoId} (from: ${fromStage})`);
+    
+    const allowedStages = [stages.EXTRACTING_AUDIO, stages.CHUNKING, stages.EMBEDDING];
+    if (!allowedStages.includes(fromStage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fromStage. Allowed values: ${allowedStages.join(', ')}`
+      });
+    }
     
     // Check if video exists
     const { data: videoData, error: videoError } = await getSupabase()
       .from('videos')
-      .select('id, title, subject, description, file_name, file_type, status')
+      .select('id, title, subject, description, file_name, file_path, file_size, file_type, captions_path, captions_language, status')
       .eq('id', videoId)
       .single();
     
@@ -227,43 +639,78 @@ router.post('/reprocess/:videoId', async (req, res) => {
       });
     }
     
-    // Clean up existing data
-    console.log('🧹 Cleaning up existing data...');
-    
-    // Delete from Pinecone
-    try {
-      await processingService.pineconeService.deleteVideoVectors(videoId);
-    } catch (pineconeError) {
-      console.warn('⚠️  Pinecone cleanup warning:', pineconeError.message);
+    // Check that the input for the requested stage is still available (imported captions stand in for the original)
+    if (fromStage === stages.EXTRACTING_AUDIO && videoData.captions_path) {
+      if (!await storedFileExists(videoData.captions_path)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Caption file is no longer available in storage'
+        });
+      }
+    } else if (fromStage === stages.EXTRACTING_AUDIO) {
+      if (!await storedFileExists(videoData.file_path)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Original file is no longer available in storage'
+        });
+      }
+    } else {
+      const table = fromStage === stages.CHUNKING ? 'transcripts' : 'text_chunks';
+      const { count } = await getSupabase()
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .eq('video_id', videoId);
+      
+      if (!count) {
+        return res.status(409).json({
+          success: false,
+          error: `No saved ${fromStage === stages.CHUNKING ? 'transcript' : 'chunks'} to reprocess from. Run a full reprocess instead.`
+        });
+      }
     }
     
-    // Delete from database
+    // Answers cite the old chunks, so existing conversations are cleared
     await getSupabase().from('chat_conversations').delete().eq('video_id', videoId);
-    await getSupabase().from('text_chunks').delete().eq('video_id', videoId);
-    await getSupabase().from('transcripts').delete().eq('video_id', videoId);
     
     // Reset video status
     await getSupabase()
       .from('videos')
       .update({
         status: 'processing',
-        processing_stage: 'uploading',
+        processing_stage: 'queued',
         processing_progress: 5,
         error_message: null,
         updated_at: new Date().toISOString()
       })
       .eq('id', videoId);
     
+    // Vector, chunk and transcript cleanup happens in the job so retries stay consistent
+    const job = await req.app.locals.jobQueue.enqueue(videoId, {
+      storageFileName: videoData.file_path,
+      fromStage: fromStage,
+      captions: videoData.captions_path ? {
+        path: videoData.captions_path,
+        fileName: videoData.captions_path.split('/').pop(),
+        language: videoData.captions_language
+      } : null,
+      metadata: {
+        title: videoData.title,
+        subject: videoData.subject,
+        description: videoData.description || '',
+        originalName: videoData.file_name,
+        fileSize: videoData.file_size,
+        mimeType: videoData.file_type
+      }
+    });
+    
     res.json({
       success: true,
-      message: 'Reprocessing started. Note: Original file must still be available.',
-      videoId: videoId
+      message: 'Reprocessing queued.',
+      videoId: videoId,
+      jobId: job.id,
+      fromStage: fromStage
     });
     
-    // Note: In a real implementation, you would need to store the original file
-    // or have a way to re-access it for reprocessing
-    console.log('⚠️  Note: Reprocessing requires original file to be available');
-    
   } catch (error) {
     console.error('❌ Reprocess error:', error.message);
     res.status(500).json({
@@ -387,27 +834,22 @@ router.get('/health', async (req, res) => {
 
 /**
  * GET /api/processing/logs/:videoId
- * Get processing logs for a video (if available)
+ * Get the structured processing log for a video, oldest first
+ * Query: level, stage (comma-separated lists), limit, offset
  */
 router.get('/logs/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { level, stage, limit = 200, offset = 0 } = req.query;
+    
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
     
     console.log(`📋 Processing logs request for video: ${videoId}`);
     
-    // Get video processing information
     const { data: videoData, error } = await getSupabase()
       .from('videos')
-      .select(`
-        id,
-        title,
-        status,
-        processing_stage,
-        processing_progress,
-        error_message,
-        created_at,
-        updated_at
-      `)
+      .select('id, title, status, processing_stage, processing_progress, error_message')
       .eq('id', videoId)
       .single();
     
@@ -421,43 +863,54 @@ router.get('/logs/:videoId', async (req, res) => {
       throw new Error(error.message);
     }
     
-    // Create a simple log structure based on available data
-    const logs = [
-      {
-        timestamp: videoData.created_at,
-        stage: 'uploading',
-        message: 'Video uploaded successfully',
-        level: 'info'
-      }
-    ];
-    
-    if (videoData.status === 'processing') {
-      logs.push({
-        timestamp: videoData.updated_at,
-        stage: videoData.processing_stage,
-        message: `Processing stage: ${videoData.processing_stage} (${videoData.processing_progress}%)`,
-        level: 'info'
-      });
-    } else if (videoData.status === 'ready') {
-      logs.push({
-        timestamp: videoData.updated_at,
-        stage: 'completed',
-        message: 'Processing completed successfully',
-        level: 'success'
-      });
-    } else if (videoData.status === 'failed') {
-      logs.push({
-        timestamp: videoData.updated_at,
-        stage: 'failed',
-        message: videoData.error_message || 'Processing failed',
-        level: 'error'
+    const levels = level ? level.split(',').map(value => value.trim()) : [];
+    const invalidLevel = levels.find(value => !logLevels.includes(value));
+    if (invalidLevel) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid level: ${invalidLevel}. Must be one of: ${logLevels.join(', ')}`
       });
     }
     
+    let logsQuery = getSupabase()
+      .from('processing_logs')
+      .select('level, stage, message, duration_ms, details, created_at', { count: 'exact' })
+      .eq('video_id', videoId);
+    
+    if (levels.length > 0) {
+      logsQuery = logsQuery.in('level', levels);
+    }
+    
+    if (stage) {
+      logsQuery = logsQuery.in('stage', stage.split(',').map(value => value.trim()));
+    }
+    
+    const { data: logs, error: logsError, count } = await logsQuery
+      .order('created_at', { ascending: true })
+      .range(pageOffset, pageOffset + pageLimit - 1);
+    
+    if (logsError) {
+      throw new Error(logsError.message);
+    }
+    
     res.json({
       success: true,
       videoId: videoId,
-      logs: logs
+      video: videoData,
+      logs: logs.map(log => ({
+        timestamp: log.created_at,
+        level: log.level,
+        stage: log.stage,
+        message: log.message,
+        durationMs: log.duration_ms,
+        details: log.details
+      })),
+      pagination: {
+        total: count,
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: count > pageOffset + pageLimit
+      }
     });
     
   } catch (error) {
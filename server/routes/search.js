@@ -0,0 +1,137 @@
+import express from 'express';
+import SearchService from '../services/searchService.js';
+
+const router = express.Router();
+
+const searchService = new SearchService();
+
+// Moments returned by one library search
+const maxLibraryResults = 50;
+
+// Semantic moment search pages can reach this deep into the ranking
+const maxMomentResults = 200;
+
+/**
+ * GET /api/search
+ * Search every lecture's transcript for moments matching a query
+ * Query: q (search terms), limit (default 20)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, limit = 20 } = req.query;
+    
+    const resultLimit = Math.min(Math.max(parseInt(limit) || 20, 1), maxLibraryResults);
+    
+    let query;
+    try {
+      query = searchService.validateQuery(q);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    console.log(`🔎 Library search: "${query}"`);
+    
+    const { moments, semantic } = await searchService.searchLibrary(query, { limit: resultLimit });
+    
+    res.json({
+      success: true,
+      query: query,
+      moments: moments,
+      semantic: semantic
+    });
+    
+  } catch (error) {
+    console.error('❌ Library search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/search/moments
+ * Transcript chunks ranked by semantic similarity to a query (no chat model involved)
+ * Query: q, videoIds (comma-separated), subject, from, to (upload dates), minScore (0-1), limit (default 10), offset
+ */
+router.get('/moments', async (req, res) => {
+  try {
+    const { q, videoIds, subject, from, to, minScore, limit = 10, offset = 0 } = req.query;
+    
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+    
+    let query;
+    try {
+      query = searchService.validateQuery(q);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    
+    if (pageOffset + pageLimit > maxMomentResults) {
+      return res.status(400).json({
+        success: false,
+        error: `Only the top ${maxMomentResults} moments can be paged through`
+      });
+    }
+    
+    const filters = {
+      videoIds: videoIds ? videoIds.split(',').map(id => id.trim()).filter(Boolean) : null,
+      subject: subject || null
+    };
+    
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, error: `${name} must be a date (e.g. 2025-01-31)` });
+      }
+      // A bare end date includes that whole day
+      if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      filters[name] = date;
+    }
+    
+    if (minScore !== undefined) {
+      const score = parseFloat(minScore);
+      if (isNaN(score) || score < 0 || score > 1) {
+        return res.status(400).json({ success: false, error: 'minScore must be a number between 0 and 1' });
+      }
+      filters.minScore = score;
+    }
+    
+    console.log(`🔎 Moment search: "${query}"`);
+    
+    const { moments, hasMore } = await searchService.searchMoments(query, filters, {
+      limit: pageLimit,
+      offset: pageOffset
+    });
+    
+    res.json({
+      success: true,
+      query: query,
+      moments: moments,
+      pagination: {
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: hasMore
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Moment search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
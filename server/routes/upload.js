@@ -3,6 +3,7 @@ import multer from 'multer';
 import path from 'path';
 import { createClient } from '@supabase/supabase-js';
 import ProcessingService from '../services/processingService.js';
+import UploadSessionService from '../services/uploadSessionService.js';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 
@@ -21,9 +22,27 @@ function getSupabase() {
 }
 
 const processingService = new ProcessingService();
+const uploadSessionService = new UploadSessionService();
+
+// Allowed file types
+const allowedTypes = [
+  'video/mp4',
+  'video/avi',
+  'video/mov',
+  'video/quicktime',
+  'video/mpeg',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/m4a',
+  'audio/aac'
+];
+
+const maxFileSize = 2 * 1024 * 1024 * 1024; // 2GB limit
+const maxCaptionSize = 10 * 1024 * 1024; // 10MB limit for caption files
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, 'uploads/');
   },
@@ -34,27 +53,64 @@ const storage = multer.diskStorage({
   }
 });
 
+// Media goes to disk; captions are kept in memory and cut off at maxCaptionSize while they stream in
+const storage = {
+  _handleFile(req, file, cb) {
+    if (file.fieldname !== 'captions') {
+      return diskStorage._handleFile(req, file, cb);
+    }
+    
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    
+    file.stream.on('data', (chunk) => {
+      if (failed) return;
+      
+      size += chunk.length;
+      if (size > maxCaptionSize) {
+        failed = true;
+        chunks.length = 0;
+        cb(processingService.captionParser.createError('Caption file must be smaller than 10MB'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', (error) => {
+      if (!failed) {
+        failed = true;
+        cb(error);
+      }
+    });
+    file.stream.on('end', () => {
+      if (!failed) {
+        cb(null, { buffer: Buffer.concat(chunks), size: size });
+      }
+    });
+  },
+  _removeFile(req, file, cb) {
+    if (file.fieldname !== 'captions') {
+      return diskStorage._removeFile(req, file, cb);
+    }
+    delete file.buffer;
+    cb(null);
+  }
+};
+
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 2 * 1024 * 1024 * 1024 // 2GB limit
+    fileSize: maxFileSize
   },
   fileFilter: function (req, file, cb) {
-    // Allowed file types
-    const allowedTypes = [
-      'video/mp4',
-      'video/avi',
-      'video/mov',
-      'video/quicktime',
-      'video/mpeg',
-      'audio/mpeg',
-      'audio/mp3',
-      'audio/wav',
-      'audio/m4a',
-      'audio/aac'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Caption MIME types vary by browser and OS, so they are checked by extension
+    if (file.fieldname === 'captions') {
+      if (/\.(srt|vtt)$/i.test(file.originalname)) {
+        cb(null, true);
+      } else {
+        cb(processingService.captionParser.createError('Invalid caption file. Only .srt and .vtt files are allowed.'), false);
+      }
+    } else if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only video and audio files are allowed.'), false);
@@ -62,19 +118,43 @@ const upload = multer({
   }
 });
 
+const receiveFiles = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'captions', maxCount: 1 }]);
+
+/**
+ * Run multer for the upload route, answering caption errors (bad type, too large) with 400
+ * instead of handing them to the global error handler
+ */
+function receiveUpload(req, res, next) {
+  receiveFiles(req, res, (error) => {
+    if (error && error.code === 'INVALID_CAPTIONS') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next(error);
+  });
+}
+
 /**
  * POST /api/upload
- * Handle file upload and start processing pipeline
+ * Handle file upload and start processing pipeline. An optional `captions` file (.srt/.vtt)
+ * is used as the transcript instead of running Whisper
  */
-router.post('/', upload.single('file'), async (req, res) => {
-  let videoId = null;
-  let filePath = null;
+router.post('/', receiveUpload, async (req, res) => {
+  const mediaFile = req.files?.file?.[0];
+  const captionUpload = req.files?.captions?.[0];
+  const filePath = mediaFile?.path || null;
   
   try {
     console.log('📤 Upload request received');
     
+    const captions = captionUpload
+      ? { fileName: captionUpload.originalname, content: captionUpload.buffer.toString('utf8'), language: req.body.language }
+      : null;
+    
     // Validate request
-    if (!req.file) {
+    if (!mediaFile) {
       return res.status(400).json({
         success: false,
         error: 'No file uploaded'
@@ -84,47 +164,80 @@ router.post('/', upload.single('file'), async (req, res) => {
     const { title, subject, description } = req.body;
     
     if (!title) {
+      await removeLocalFile(filePath);
       return res.status(400).json({
         success: false,
         error: 'Title is required'
       });
     }
     
-    filePath = req.file.path;
-    const fileSize = req.file.size;
-    const originalName = req.file.originalname;
-    const mimeType = req.file.mimetype;
+    const result = await registerUploadedFile(req, {
+      path: filePath,
+      originalName: mediaFile.originalname,
+      size: mediaFile.size,
+      mimeType: mediaFile.mimetype
+    }, { title, subject, description }, validateCaptions(captions));
     
-    console.log('📁 File details:');
-    console.log(`   • Original name: ${originalName}`);
-    console.log(`   • Size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
-    console.log(`   • Type: ${mimeType}`);
-    console.log(`   • Path: ${filePath}`);
+    // Return response to client
+    res.status(200).json({
+      success: true,
+      message: 'File uploaded successfully. Processing queued.',
+      ...result
+    });
     
-    // Upload file to Supabase storage
-    console.log('☁️ Uploading to Supabase storage...');
-    const fileBuffer = await fs.readFile(filePath);
-    const storageFileName = `${uuidv4()}-${originalName}`;
-    
-    const { data: uploadData, error: uploadError } = await getSupabase()
-      .storage
-      .from('lecture-videos')
-      .upload(storageFileName, fileBuffer, {
-        contentType: mimeType,
-        upsert: false
+  } catch (error) {
+    console.error('❌ Upload error:', error.message);
+    
+    // Clean up on error, unless a queued job already owns the file
+    if (filePath && !error.jobQueued) {
+      await removeLocalFile(filePath);
+    }
+    
+    res.status(uploadErrorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/url
+ * Ingest a lecture from a direct HTTP(S) media URL; the download runs as the first stage of the processing job
+ */
+router.post('/url', async (req, res) => {
+  let videoId = null;
+  
+  try {
+    const { url, title, subject, description } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'Media URL is required'
       });
+    }
     
-    if (uploadError) {
-      throw new Error(`Storage upload failed: ${uploadError.message}`);
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required'
+      });
     }
     
-    console.log(`✅ File uploaded to storage: ${storageFileName}`);
+    try {
+      processingService.mediaDownloader.validateUrl(url);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
     
-    // Clean up local file after successful upload
-    await fs.unlink(filePath);
+    console.log(`🌐 URL ingest request received: ${url}`);
     
-    // Create video record in database
-    console.log('💾 Creating video record...');
+    // The real name, size and type are filled in once the download has been sniffed
+    const fileName = processingService.mediaDownloader.fileNameFromUrl(url);
+    const storageFileName = `${uuidv4()}-${fileName}`;
     
     const { data: videoData, error: insertError } = await getSupabase()
       .from('videos')
@@ -132,13 +245,12 @@ router.post('/', upload.single('file'), async (req, res) => {
         title: title,
         subject: subject,
         description: description || '',
-        file_name: originalName,
+        file_name: fileName,
         file_path: storageFileName,
-        file_size: fileSize,
-        file_type: mimeType,
+        source_url: url,
         status: 'processing',
-        processing_stage: 'uploading',
-        processing_progress: 5,
+        processing_stage: 'downloading',
+        processing_progress: 1,
         uploaded_at: new Date().toISOString()
       })
       .select()
@@ -151,99 +263,466 @@ router.post('/', upload.single('file'), async (req, res) => {
     videoId = videoData.id;
     console.log(`✅ Video record created with ID: ${videoId}`);
     
-    // Return immediate response to client
-    res.status(200).json({
+    const job = await req.app.locals.jobQueue.enqueue(videoId, {
+      storageFileName: storageFileName,
+      sourceUrl: url,
+      metadata: {
+        title: title,
+        subject: subject,
+        description: description || '',
+        originalName: fileName
+      }
+    });
+    
+    processingService.log(videoId, 'info', 'downloading', 'Media URL queued for download and processing', {
+      jobId: job.id,
+      sourceUrl: url,
+      storageFileName: storageFileName
+    });
+    
+    // Download progress streams over /api/processing/events/:videoId
+    res.status(202).json({
       success: true,
-      message: 'File uploaded successfully. Processing started.',
+      message: 'Media URL accepted. Download and processing queued.',
       videoId: videoId,
-      fileName: originalName,
-      fileSize: fileSize,
+      fileName: fileName,
       processingStatus: {
-        stage: 'uploading',
-        progress: 5
+        stage: 'downloading',
+        progress: 1
       }
     });
     
-    // Start processing pipeline asynchronously
-    console.log('🚀 Starting processing pipeline...');
+  } catch (error) {
+    console.error('❌ URL ingest error:', error.message);
     
-    setImmediate(async () => {
+    if (videoId) {
       try {
-        const metadata = {
-          title: title,
-          subject: subject,
-          description: description || '',
-          originalName: originalName,
-          fileSize: fileSize,
-          mimeType: mimeType
-        };
-        
-        // Download file from storage for processing
-        const { data: fileData, error: downloadError } = await getSupabase()
-          .storage
-          .from('lecture-videos')
-          .download(storageFileName);
-        
-        if (downloadError) {
-          throw new Error(`Failed to download file for processing: ${downloadError.message}`);
-        }
-        
-        // Ensure temp directory exists
-        await fs.mkdir('temp', { recursive: true });
-        
-        // Create temporary file for processing
-        const tempFilePath = path.join('temp', `processing-${videoId}-${originalName}`);
-        const arrayBuffer = await fileData.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        await fs.writeFile(tempFilePath, buffer);
-        
-        await processingService.processFile(tempFilePath, metadata, videoId);
-        
-        // Clean up temporary file after processing
-        try {
-          await fs.unlink(tempFilePath);
-        } catch (cleanupError) {
-          console.warn('Temp file cleanup warning:', cleanupError.message);
-        }
-        
-        console.log(`✅ Processing completed for video ${videoId}`);
-        
-      } catch (processingError) {
-        console.error(`❌ Processing failed for video ${videoId}:`, processingError.message);
-        
-        // Update status to failed
         await getSupabase()
           .from('videos')
           .update({
             status: 'failed',
             processing_stage: 'failed',
-            error_message: processingError.message,
+            error_message: error.message,
             updated_at: new Date().toISOString()
           })
           .eq('id', videoId);
-        
-        // Clean up storage file on processing failure
-        try {
-          await getSupabase()
-            .storage
-            .from('lecture-videos')
-            .remove([storageFileName]);
-        } catch (cleanupError) {
-          console.error('Storage cleanup error:', cleanupError.message);
-        }
+      } catch (dbError) {
+        console.error('Database update error:', dbError.message);
       }
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/sessions
+ * Start a resumable upload; the file is then sent in parts
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const { fileName, fileSize, mimeType, chunkSize, title, subject, description } = req.body;
+    
+    if (!fileName || !fileSize || !mimeType) {
+      return res.status(400).json({
+        success: false,
+        error: 'fileName, fileSize and mimeType are required'
+      });
+    }
+    
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required'
+      });
+    }
+    
+    if (!allowedTypes.includes(mimeType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type. Only video and audio files are allowed.'
+      });
+    }
+    
+    const size = parseInt(fileSize);
+    if (!(size > 0) || size > maxFileSize) {
+      return res.status(400).json({
+        success: false,
+        error: 'File size must be less than 2GB'
+      });
+    }
+    
+    // Opportunistically free disk space held by abandoned uploads
+    await uploadSessionService.cleanupExpiredSessions();
+    
+    const session = await uploadSessionService.createSession(
+      { fileName, fileSize: size, mimeType, chunkSize },
+      { title, subject, description: description || '' }
+    );
+    
+    res.status(201).json({
+      success: true,
+      upload: formatSession({ ...session, parts: [] })
     });
     
   } catch (error) {
-    console.error('❌ Upload error:', error.message);
+    console.error('❌ Upload session error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/sessions/:uploadId
+ * Get an upload session and the parts already received, so the client can resume
+ */
+router.get('/sessions/:uploadId', async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId);
     
-    // Clean up on error
-    if (filePath) {
-      try {
-        await fs.unlink(filePath);
-      } catch (cleanupError) {
-        console.error('File cleanup error:', cleanupError.message);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      upload: formatSession(session)
+    });
+    
+  } catch (error) {
+    console.error('❌ Upload session retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/upload/sessions/:uploadId/parts/:partNumber
+ * Receive one part as a raw body; X-Part-Checksum carries its SHA-256 (hex)
+ */
+router.put('/sessions/:uploadId/parts/:partNumber', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const partNumber = parseInt(req.params.partNumber);
+    const checksum = req.get('X-Part-Checksum');
+    
+    if (!checksum || !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({
+        success: false,
+        error: 'X-Part-Checksum header must be a SHA-256 hex digest'
+      });
+    }
+    
+    const session = await uploadSessionService.getSession(uploadId);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+    
+    if (session.status !== 'uploading') {
+      return res.status(409).json({
+        success: false,
+        error: `Upload session is ${session.status}`
+      });
+    }
+    
+    if (!(partNumber >= 1 && partNumber <= session.total_parts)) {
+      return res.status(400).json({
+        success: false,
+        error: `Part number must be between 1 and ${session.total_parts}`
+      });
+    }
+    
+    const part = await uploadSessionService.writePart(session, partNumber, req, checksum);
+    
+    res.json({
+      success: true,
+      part: {
+        partNumber: part.part_number,
+        size: part.size,
+        checksum: part.checksum
       }
+    });
+    
+  } catch (error) {
+    console.error('❌ Upload part error:', error.message);
+    res.status(uploadErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * POST /api/upload/sessions/:uploadId/complete
+ * Verify and assemble the parts, then start processing (exactly once per upload)
+ */
+router.post('/sessions/:uploadId/complete', async (req, res) => {
+  const { uploadId } = req.params;
+  let filePath = null;
+  let claimed = false;
+  let registeredVideoId = null;
+  
+  try {
+    const { checksum } = req.body;
+    const captions = validateCaptions(req.body.captions);
+    
+    const session = await uploadSessionService.getSession(uploadId);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+    
+    // A repeated complete call (e.g. after a dropped response) gets the same video back
+    if (session.status === 'completed') {
+      return res.json({
+        success: true,
+        message: 'Upload already completed.',
+        videoId: session.video_id
+      });
+    }
+    
+    claimed = await uploadSessionService.claimCompletion(uploadId);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: session.status === 'uploading'
+          ? 'Upload is already being completed'
+          : `Upload session is ${session.status}`
+      });
+    }
+    
+    filePath = await uploadSessionService.assemble(session, checksum);
+    
+    const result = await registerUploadedFile(req, {
+      path: filePath,
+      originalName: session.file_name,
+      size: session.file_size,
+      mimeType: session.mime_type
+    }, session.metadata, captions, {
+      // Record the video before its job is queued, so a retry after a later failure gets this video back
+      onVideoCreated: async (videoId) => {
+        await uploadSessionService.updateSession(uploadId, {
+          status: 'completed',
+          video_id: videoId
+        });
+        registeredVideoId = videoId;
+      }
+    });
+    
+    await uploadSessionService.removeParts(uploadId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'File uploaded successfully. Processing queued.',
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('❌ Upload completion error:', error.message);
+    
+    if (filePath && !error.jobQueued) {
+      await removeLocalFile(filePath);
+    }
+    
+    // Reopen the session so the client can re-send parts and retry, unless it already has its video
+    if (claimed && !registeredVideoId) {
+      await uploadSessionService.updateSession(uploadId, {
+        status: 'uploading',
+        error_message: error.message
+      });
+    }
+    
+    res.status(uploadErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      missingParts: error.missingParts
+    });
+  }
+});
+
+/**
+ * DELETE /api/upload/sessions/:uploadId
+ * Abort an upload and discard its parts
+ */
+router.delete('/sessions/:uploadId', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    
+    const session = await uploadSessionService.getSession(uploadId);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+    
+    if (session.status === 'completed' || session.status === 'completing') {
+      return res.status(409).json({
+        success: false,
+        error: `Upload session is ${session.status}`
+      });
+    }
+    
+    await uploadSessionService.updateSession(uploadId, { status: 'aborted' });
+    await uploadSessionService.removeParts(uploadId);
+    
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+    
+  } catch (error) {
+    console.error('❌ Upload abort error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Store an uploaded file, create its video record and queue the processing pipeline.
+ * The file is streamed to storage and the local copy is handed to the job, which removes it when done
+ * @param {Object} req - Express request (for the shared job queue)
+ * @param {Object} file - { path, originalName, size, mimeType }
+ * @param {Object} details - { title, subject, description }
+ * @param {Object|null} captions - Validated caption file ({ fileName, content, language }) to use instead of Whisper
+ * @param {Object} options - { onVideoCreated(videoId) } awaited after the video record exists and before its job is queued
+ * @returns {Promise<Object>} - Response fields ({ videoId, fileName, fileSize, processingStatus });
+ *   errors thrown after the job was queued carry `jobQueued`, since the job then owns the local file
+ */
+async function registerUploadedFile(req, file, details, captions = null, options = {}) {
+  const { title, subject, description } = details;
+  const { onVideoCreated = null } = options;
+  let videoId = null;
+  let jobQueued = false;
+  
+  console.log('📁 File details:');
+  console.log(`   • Original name: ${file.originalName}`);
+  console.log(`   • Size: ${(file.size / 1024 / 1024).toFixed(2)} MB`);
+  console.log(`   • Type: ${file.mimeType}`);
+  console.log(`   • Path: ${file.path}`);
+  
+  try {
+    // Stream file to Supabase storage (never read into memory)
+    console.log('☁️ Uploading to Supabase storage...');
+    const storageFileName = `${uuidv4()}-${file.originalName}`;
+    await processingService.uploadOriginal(file.path, storageFileName, file.mimeType);
+    
+    // Keep captions next to the original so reprocessing can use them again
+    let captionsPath = null;
+    if (captions) {
+      captionsPath = `captions/${uuidv4()}-${captions.fileName}`;
+      
+      const { error: captionsError } = await getSupabase()
+        .storage
+        .from('lecture-videos')
+        .upload(captionsPath, Buffer.from(captions.content, 'utf8'), {
+          contentType: captions.format === 'vtt' ? 'text/vtt' : 'application/x-subrip',
+          upsert: false
+        });
+      
+      if (captionsError) {
+        throw new Error(`Caption upload failed: ${captionsError.message}`);
+      }
+      
+      console.log(`✅ Captions uploaded to storage: ${captionsPath}`);
+    }
+    
+    // Create video record in database
+    console.log('💾 Creating video record...');
+    
+    const { data: videoData, error: insertError } = await getSupabase()
+      .from('videos')
+      .insert({
+        title: title,
+        subject: subject,
+        description: description || '',
+        file_name: file.originalName,
+        file_path: storageFileName,
+        file_size: file.size,
+        file_type: file.mimeType,
+        captions_path: captionsPath,
+        captions_language: captions?.language || null,
+        status: 'processing',
+        processing_stage: 'uploading',
+        processing_progress: 5,
+        uploaded_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (insertError) {
+      throw new Error(`Database insert failed: ${insertError.message}`);
+    }
+    
+    videoId = videoData.id;
+    console.log(`✅ Video record created with ID: ${videoId}`);
+    
+    await onVideoCreated?.(videoId);
+    
+    // Queue the processing pipeline; the worker picks it up (and resumes it after a restart)
+    console.log('🚀 Queueing processing pipeline...');
+    
+    const job = await req.app.locals.jobQueue.enqueue(videoId, {
+      storageFileName: storageFileName,
+      localFilePath: file.path,
+      captions: captions ? { path: captionsPath, fileName: captions.fileName, language: captions.language } : null,
+      metadata: {
+        title: title,
+        subject: subject,
+        description: description || '',
+        originalName: file.originalName,
+        fileSize: file.size,
+        mimeType: file.mimeType
+      }
+    });
+    jobQueued = true;
+    
+    processingService.log(videoId, 'info', 'uploading', 'File uploaded and queued for processing', {
+      jobId: job.id,
+      fileName: file.originalName,
+      fileSize: file.size,
+      mimeType: file.mimeType,
+      storageFileName: storageFileName,
+      captions: captions ? { fileName: captions.fileName, cues: captions.cues } : null
+    });
+    
+    return {
+      videoId: videoId,
+      fileName: file.originalName,
+      fileSize: file.size,
+      processingStatus: {
+        stage: 'uploading',
+        progress: 5
+      }
+    };
+    
+  } catch (error) {
+    // Once queued, the job reports its own failures
+    if (jobQueued) {
+      error.jobQueued = true;
+      throw error;
     }
     
     // Update database if video record was created
@@ -263,12 +742,96 @@ router.post('/', upload.single('file'), async (req, res) => {
       }
     }
     
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    throw error;
   }
-});
+}
+
+/**
+ * Check an uploaded caption file before anything is stored, so a bad file fails the upload rather than the job
+ * @param {Object|null} captions - { fileName, content, language } or null
+ * @returns {Object|null} - Captions with their detected `format` and `cues` count, or null
+ */
+function validateCaptions(captions) {
+  if (!captions) {
+    return null;
+  }
+  
+  const { captionParser } = processingService;
+  const format = captionParser.detectFormat(captions.fileName, captions.content || '');
+  
+  if (!format) {
+    throw captionParser.createError('Caption file must be .srt or .vtt');
+  }
+  
+  if (Buffer.byteLength(captions.content || '', 'utf8') > maxCaptionSize) {
+    throw captionParser.createError('Caption file must be smaller than 10MB');
+  }
+  
+  const parsed = captionParser.parse(captions.content, { format, language: captions.language });
+  
+  return {
+    fileName: path.basename(captions.fileName),
+    content: captions.content,
+    language: parsed.language,
+    format: format,
+    cues: parsed.segments.length
+  };
+}
+
+/**
+ * Remove a local upload file, ignoring files that are already gone
+ * @param {string} filePath - File path
+ * @returns {Promise<void>}
+ */
+async function removeLocalFile(filePath) {
+  try {
+    await fs.rm(filePath, { force: true });
+  } catch (cleanupError) {
+    console.error('File cleanup error:', cleanupError.message);
+  }
+}
+
+/**
+ * Map upload session errors to HTTP status codes
+ * @param {Error} error - Error
+ * @returns {number} - Status code
+ */
+function uploadErrorStatus(error) {
+  switch (error.code) {
+    case 'PART_INVALID':
+    case 'UPLOAD_INCOMPLETE':
+    case 'INVALID_CAPTIONS':
+      return 400;
+    case 'CHECKSUM_MISMATCH':
+      return 422;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * Format an upload session for API responses
+ * @param {Object} session - Session record with parts
+ * @returns {Object} - Client-facing session
+ */
+function formatSession(session) {
+  return {
+    uploadId: session.id,
+    status: session.status,
+    fileName: session.file_name,
+    fileSize: session.file_size,
+    mimeType: session.mime_type,
+    chunkSize: session.chunk_size,
+    totalParts: session.total_parts,
+    videoId: session.video_id,
+    expiresAt: session.expires_at,
+    parts: session.parts.map(part => ({
+      partNumber: part.part_number,
+      size: part.size,
+      checksum: part.checksum
+    }))
+  };
+}
 
 /**
  * GET /api/upload/status/:videoId
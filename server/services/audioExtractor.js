@@ -28,9 +28,12 @@ class AudioExtractor {
    * Extract audio from video file or process audio file directly
    * @param {string} inputPath - Path to input file (video or audio)
    * @param {string} videoId - Unique identifier for the video
+   * @param {Object} options - { onProgress } called with the percentage converted so far, { onCommand } with the ffmpeg command line
    * @returns {Promise<string>} - Path to extracted/processed audio file
    */
-  async extractAudio(inputPath, videoId) {
+  async extractAudio(inputPath, videoId, options = {}) {
+    const { onProgress = null, onCommand = null } = options;
+    
     return new Promise((resolve, reject) => {
       const outputPath = path.join(this.tempDir, `${videoId}_audio.wav`);
       
@@ -51,10 +54,12 @@ class AudioExtractor {
         .output(outputPath)
         .on('start', (commandLine) => {
           console.log(`🔧 FFmpeg command: ${commandLine}`);
+          onCommand?.(commandLine);
         })
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`⏳ Audio extraction progress: ${Math.round(progress.percent)}%`);
+            onProgress?.(Math.min(progress.percent, 100));
           }
         })
         .on('end', () => {
@@ -0,0 +1,154 @@
+class CaptionParser {
+  constructor() {
+    this.formats = ['srt', 'vtt'];
+    this.defaultLanguage = 'en';
+  }
+
+  /**
+   * Work out the caption format from the file name, falling back to the content
+   * @param {string} fileName - Caption file name
+   * @param {string} content - Caption file content
+   * @returns {string|null} - 'srt', 'vtt' or null when neither
+   */
+  detectFormat(fileName, content = '') {
+    const extension = (fileName || '').split('.').pop().toLowerCase();
+    if (this.formats.includes(extension)) {
+      return extension;
+    }
+
+    const body = content.replace(/^\uFEFF/, '').trimStart();
+    if (body.startsWith('WEBVTT')) {
+      return 'vtt';
+    }
+    if (/^\d+\s*\r?\n\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(body)) {
+      return 'srt';
+    }
+    return null;
+  }
+
+  /**
+   * Parse SRT or WebVTT captions into the transcription result shape
+   * @param {string} content - Caption file content
+   * @param {Object} options - { format: 'srt' | 'vtt', language } (VTT `Language:` headers take precedence)
+   * @returns {Object} - { text, segments, language, duration, wordCount }
+   */
+  parse(content, options = {}) {
+    const body = (content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const format = options.format || this.detectFormat('', body);
+
+    if (format === 'vtt' && !body.trimStart().startsWith('WEBVTT')) {
+      throw this.createError('WebVTT files must start with "WEBVTT"');
+    }
+
+    const blocks = body.split(/\n{2,}/);
+    const segments = [];
+    let language = options.language || this.defaultLanguage;
+
+    blocks.forEach((block, blockIndex) => {
+      const lines = block.split('\n').filter(line => line.trim().length > 0);
+
+      if (format === 'vtt' && blockIndex === 0 && lines[0]?.startsWith('WEBVTT')) {
+        const header = lines.find(line => /^Language:/i.test(line));
+        if (header) {
+          language = header.split(':')[1].trim() || language;
+        }
+        // Cues may follow the header without a blank line
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return;
+        lines.splice(0, timingIndex);
+      }
+
+      // Comments, styles and regions carry no spoken text
+      if (/^(NOTE|STYLE|REGION)\b/.test(lines[0] || '')) {
+        return;
+      }
+
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) {
+        return;
+      }
+
+      const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const start = this.parseTimestamp(startText);
+      const end = this.parseTimestamp(endText);
+
+      if (start === null || end === null) {
+        throw this.createError(`Invalid cue timing: "${lines[timingIndex]}"`);
+      }
+
+      const text = this.cleanText(lines.slice(timingIndex + 1).join(' '));
+      if (!text) {
+        return;
+      }
+
+      segments.push({ start, end: Math.max(end, start), text });
+    });
+
+    if (segments.length === 0) {
+      throw this.createError('No caption cues found');
+    }
+
+    segments.sort((a, b) => a.start - b.start);
+
+    const text = segments.map(segment => segment.text).join(' ');
+
+    return {
+      text: text,
+      segments: segments.map((segment, index) => ({
+        id: index,
+        start: segment.start,
+        end: segment.end,
+        text: segment.text,
+        confidence: null
+      })),
+      language: language,
+      duration: Math.max(...segments.map(segment => segment.end)),
+      wordCount: text.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
+
+  /**
+   * Parse an SRT (00:01:02,500) or WebVTT (01:02.500, 00:01:02.500) timestamp
+   * @param {string} timestamp - Timestamp
+   * @returns {number|null} - Seconds, or null when malformed
+   */
+  parseTimestamp(timestamp) {
+    const match = (timestamp || '').match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(fraction.padEnd(3, '0')) / 1000;
+  }
+
+  /**
+   * Strip markup (tags, voice spans, SRT position codes) and decode common entities
+   * @param {string} text - Cue text
+   * @returns {string} - Plain text
+   */
+  cleanText(text) {
+    return text
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Create an error the upload routes report as an invalid caption file
+   * @param {string} message - Error message
+   * @returns {Error} - Error with `code`
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CAPTIONS';
+    return error;
+  }
+}
+
+export default CaptionParser;
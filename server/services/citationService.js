@@ -0,0 +1,163 @@
+// Words whose full stop does not end a sentence ("Dr. Smith", "e.g. entropy")
+const abbreviations = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'cf', 'approx', 'fig', 'figs', 'eq', 'eqs',
+  'no', 'vol', 'ch', 'sec', 'e.g', 'i.e', 'al', 'ca', 'resp'
+]);
+
+class CitationService {
+  constructor() {
+    // "[2]", "[1, 3]" or "[Context 2]" — timestamps like "[05:30]" never match
+    this.markerRegex = /[ \t]*\[(?:Context\s+)?(\d+(?:\s*,\s*\d+)*)\]/gi;
+    // A sentence ends at terminal punctuation followed by whitespace, or at a line break
+    this.sentenceEndRegex = /[.!?]+["')\]]*(?=\s|$)|\n+/g;
+    this.excerptLength = 100;
+  }
+
+  /**
+   * Turn the numbered context blocks an answer cites into checked, per-sentence citations
+   * @param {string} answer - Generated answer with citation markers ("... [1][3].")
+   * @param {Array} context - Context blocks the answer was generated from, block N at index N - 1
+   * @returns {Object} - { text, sentences, citations, invalidCitations }:
+   *   `text` is the answer without markers; `sentences` are [{ start, end, citations }] character spans of
+   *   `text` with the footnote ids they cite; `citations` are the cited blocks as footnotes
+   *   ({ id, block, videoId, videoTitle, lecture, startTime, endTime, text }) numbered by first use;
+   *   `invalidCitations` are block numbers the answer cited that were not in the context
+   */
+  resolve(answer, context) {
+    const { text, markers } = this.stripMarkers(answer);
+    const sentences = this.splitSentences(text);
+
+    const footnotes = new Map();
+    const invalid = new Set();
+
+    for (const marker of markers) {
+      // A marker right after a sentence's full stop still belongs to that sentence
+      const sentence = [...sentences].reverse().find(candidate => candidate.start <= marker.position)
+        || sentences[0];
+
+      for (const block of marker.blocks) {
+        if (block < 1 || block > context.length) {
+          invalid.add(block);
+          continue;
+        }
+
+        if (!footnotes.has(block)) {
+          footnotes.set(block, footnotes.size + 1);
+        }
+        const id = footnotes.get(block);
+        if (sentence && !sentence.citations.includes(id)) {
+          sentence.citations.push(id);
+        }
+      }
+    }
+
+    if (invalid.size > 0) {
+      console.warn(`⚠️  Answer cited context blocks that do not exist: ${[...invalid].join(', ')}`);
+    }
+
+    const citations = [...footnotes.entries()].map(([block, id]) => {
+      const chunk = context[block - 1];
+      return {
+        id: id,
+        block: block,
+        videoId: chunk.videoId,
+        videoTitle: chunk.videoTitle,
+        lecture: chunk.lecture,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        text: this.excerpt(chunk.text)
+      };
+    });
+
+    console.log(`📎 ${citations.length} cited blocks across ${sentences.filter(sentence => sentence.citations.length > 0).length}/${sentences.length} sentences`);
+
+    return {
+      text: text,
+      sentences: sentences,
+      citations: citations,
+      invalidCitations: [...invalid]
+    };
+  }
+
+  /**
+   * Remove citation markers from an answer, remembering where each one was
+   * @param {string} answer - Generated answer
+   * @returns {Object} - { text, markers: [{ position, blocks }] } with positions in the returned text
+   */
+  stripMarkers(answer) {
+    const markers = [];
+    let text = '';
+    let lastIndex = 0;
+
+    for (const match of answer.matchAll(this.markerRegex)) {
+      text += answer.slice(lastIndex, match.index);
+      markers.push({
+        position: text.length,
+        blocks: match[1].split(',').map(number => parseInt(number))
+      });
+      lastIndex = match.index + match[0].length;
+    }
+    text += answer.slice(lastIndex);
+
+    const leading = text.length - text.trimStart().length;
+    return {
+      text: text.trim(),
+      markers: markers.map(marker => ({ ...marker, position: Math.max(marker.position - leading, 0) }))
+    };
+  }
+
+  /**
+   * @param {string} text - Answer without markers
+   * @returns {Array} - Sentences as [{ start, end, citations: [] }] character spans, leading whitespace excluded
+   */
+  splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+
+    const push = (end) => {
+      const leading = text.slice(start, end).search(/\S/);
+      if (leading >= 0) {
+        sentences.push({ start: start + leading, end: end, citations: [] });
+      }
+    };
+
+    for (const match of text.matchAll(this.sentenceEndRegex)) {
+      if (match[0] === '.' && this.isAbbreviation(text.slice(0, match.index))) {
+        continue;
+      }
+
+      // Line breaks separate sentences but are not part of them
+      const end = match[0].startsWith('\n') ? match.index : match.index + match[0].length;
+      push(end);
+      start = match.index + match[0].length;
+    }
+    push(text.length);
+
+    return sentences;
+  }
+
+  /**
+   * @param {string} before - Text up to a full stop
+   * @returns {boolean} - Whether the stop belongs to an abbreviation, an initial ("J. Smith")
+   *   or a dotted acronym ("U.S.") rather than ending the sentence
+   */
+  isAbbreviation(before) {
+    const word = (before.match(/[A-Za-z.]+$/) || [''])[0].toLowerCase();
+
+    return abbreviations.has(word)
+      || /^[a-z]$/.test(word)
+      || /^(?:[a-z]\.)+[a-z]$/.test(word);
+  }
+
+  /**
+   * @param {string} text - Context block text
+   * @returns {string} - Opening words of the block
+   */
+  excerpt(text) {
+    return text.length > this.excerptLength
+      ? `${text.substring(0, this.excerptLength)}...`
+      : text;
+  }
+}
+
+export default CitationService;
@@ -0,0 +1,223 @@
+import { createClient } from '@supabase/supabase-js';
+
+class ContextExpander {
+  constructor() {
+    this.supabase = null;
+
+    // Chunks pulled in on each side of a hit
+    this.neighbors = parseInt(process.env.CHAT_CONTEXT_NEIGHBORS) >= 0
+      ? parseInt(process.env.CHAT_CONTEXT_NEIGHBORS)
+      : 1;
+    // Upper bound on the transcript text sent to the model, in estimated tokens
+    this.tokenBudget = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 3000;
+    this.charsPerToken = 4;
+    // Longest overlap (in words) looked for where consecutive chunks repeat each other
+    this.maxOverlapWords = 200;
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Grow retrieved chunks into contiguous transcript passages by adding their neighbours.
+   * Every hit is kept first, then neighbours nearest to the best hits, until the token budget is spent;
+   * chunks that end up adjacent are merged into one passage.
+   * @param {Array} hits - Retrieved chunks ({ videoId, chunkIndex, text, startTime, endTime, ... }), best first
+   * @returns {Promise<Array>} - Passages in the order of their best hit, carrying that hit's fields
+   *   plus `chunkIndices` and the combined text and start/end times
+   */
+  async expand(hits) {
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const chunks = await this.loadChunks(hits);
+    const selected = new Map();
+    let tokens = 0;
+
+    const select = (videoId, chunkIndex, text, hitRank) => {
+      const key = `${videoId}:${chunkIndex}`;
+      if (selected.has(key)) return true;
+
+      const cost = this.estimateTokens(text);
+      // The best hit always gets in, even over budget
+      if (selected.size > 0 && tokens + cost > this.tokenBudget) return false;
+
+      tokens += cost;
+      selected.set(key, { videoId, chunkIndex, hitRank });
+      return true;
+    };
+
+    hits.forEach((hit, rank) => {
+      const stored = chunks.get(`${hit.videoId}:${hit.chunkIndex}`);
+      select(hit.videoId, hit.chunkIndex ?? `hit-${rank}`, stored?.text ?? hit.text, rank);
+    });
+
+    for (let distance = 1; distance <= this.neighbors; distance++) {
+      hits.forEach((hit, rank) => {
+        if (hit.chunkIndex === undefined || hit.chunkIndex === null) return;
+
+        for (const chunkIndex of [hit.chunkIndex - distance, hit.chunkIndex + distance]) {
+          const neighbor = chunks.get(`${hit.videoId}:${chunkIndex}`);
+          if (neighbor) {
+            select(hit.videoId, chunkIndex, neighbor.text, rank);
+          }
+        }
+      });
+    }
+
+    const passages = this.mergeSelected([...selected.values()], hits, chunks);
+
+    console.log(`🧩 Expanded ${hits.length} hits into ${passages.length} passages (~${tokens} tokens)`);
+
+    return passages;
+  }
+
+  /**
+   * Load the stored chunks around each hit
+   * @param {Array} hits - Retrieved chunks
+   * @returns {Promise<Map>} - "videoId:chunkIndex" → { text, startTime, endTime }
+   */
+  async loadChunks(hits) {
+    const wanted = new Map();
+
+    for (const hit of hits) {
+      if (hit.chunkIndex === undefined || hit.chunkIndex === null) continue;
+
+      const indices = wanted.get(hit.videoId) || new Set();
+      for (let offset = -this.neighbors; offset <= this.neighbors; offset++) {
+        if (hit.chunkIndex + offset >= 0) {
+          indices.add(hit.chunkIndex + offset);
+        }
+      }
+      wanted.set(hit.videoId, indices);
+    }
+
+    const chunks = new Map();
+
+    await Promise.all([...wanted.entries()].map(async ([videoId, indices]) => {
+      const { data, error } = await this.getSupabase()
+        .from('text_chunks')
+        .select('chunk_index, chunk_text, start_time, end_time')
+        .eq('video_id', videoId)
+        .in('chunk_index', [...indices]);
+
+      if (error) {
+        throw new Error(`Neighbour chunk load failed: ${error.message}`);
+      }
+
+      for (const row of data) {
+        const key = `${videoId}:${row.chunk_index}`;
+        if (!chunks.has(key)) {
+          chunks.set(key, {
+            text: row.chunk_text,
+            startTime: row.start_time || 0,
+            endTime: row.end_time || 0
+          });
+        }
+      }
+    }));
+
+    return chunks;
+  }
+
+  /**
+   * Group selected chunks into runs of consecutive chunk indices
+   * @param {Array} selected - Selected chunks ({ videoId, chunkIndex, hitRank })
+   * @param {Array} hits - Retrieved chunks, best first
+   * @param {Map} chunks - Stored chunks by "videoId:chunkIndex"
+   * @returns {Array} - Passages, ordered by their best hit
+   */
+  mergeSelected(selected, hits, chunks) {
+    const hitsByKey = new Map(hits.map((hit, rank) => [`${hit.videoId}:${hit.chunkIndex ?? `hit-${rank}`}`, hit]));
+
+    const ordered = [...selected].sort((a, b) =>
+      a.videoId === b.videoId
+        ? (typeof a.chunkIndex === 'number' && typeof b.chunkIndex === 'number' ? a.chunkIndex - b.chunkIndex : 0)
+        : a.videoId.localeCompare(b.videoId));
+
+    const runs = [];
+    for (const item of ordered) {
+      const last = runs[runs.length - 1];
+      const continues = last
+        && last.videoId === item.videoId
+        && typeof item.chunkIndex === 'number'
+        && item.chunkIndex === last.items[last.items.length - 1].chunkIndex + 1;
+
+      if (continues) {
+        last.items.push(item);
+      } else {
+        runs.push({ videoId: item.videoId, items: [item] });
+      }
+    }
+
+    return runs
+      .map(run => {
+        const parts = run.items.map(item => {
+          const key = `${item.videoId}:${item.chunkIndex}`;
+          const hit = hitsByKey.get(key);
+          const stored = chunks.get(key);
+          return {
+            text: stored?.text ?? hit.text,
+            startTime: stored?.startTime ?? hit.startTime,
+            endTime: stored?.endTime ?? hit.endTime
+          };
+        });
+
+        const bestRank = Math.min(...run.items.map(item => item.hitRank));
+
+        return {
+          ...hits[bestRank],
+          chunkIndices: run.items.map(item => item.chunkIndex).filter(index => typeof index === 'number'),
+          text: parts.map(part => part.text).reduce((joined, text) => this.joinOverlapping(joined, text)),
+          startTime: Math.min(...parts.map(part => part.startTime)),
+          endTime: Math.max(...parts.map(part => part.endTime)),
+          bestRank: bestRank
+        };
+      })
+      .sort((a, b) => a.bestRank - b.bestRank)
+      .map(({ bestRank, ...passage }) => passage);
+  }
+
+  /**
+   * Join consecutive chunk texts, dropping the words the chunker repeated as overlap
+   * @param {string} previous - Earlier text
+   * @param {string} next - Following text
+   * @returns {string} - Joined text
+   */
+  joinOverlapping(previous, next) {
+    const previousWords = previous.trim().split(/\s+/);
+    const nextWords = next.trim().split(/\s+/);
+    const longest = Math.min(previousWords.length, nextWords.length, this.maxOverlapWords);
+
+    for (let length = longest; length >= 3; length--) {
+      const tail = previousWords.slice(-length).join(' ');
+      if (tail === nextWords.slice(0, length).join(' ')) {
+        return [...previousWords, ...nextWords.slice(length)].join(' ');
+      }
+    }
+
+    return `${previous.trim()} ${next.trim()}`;
+  }
+
+  /**
+   * @param {string} text - Text
+   * @returns {number} - Rough token count
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / this.charsPerToken);
+  }
+}
+
+export default ContextExpander;
@@ -26,7 +26,7 @@ class EmbeddingService {
   /**
    * Generate embeddings for text chunks
    * @param {Array} chunks - Array of text chunks
-   * @param {Object} options - Embedding options
+   * @param {Object} options - Embedding options ({ onProgress } is called with (batchesDone, totalBatches), { log } with (level, message, details))
    * @returns {Promise<Array>} - Array of chunks with embeddings
    */
   async generateEmbeddings(chunks, options = {}) {
@@ -63,12 +63,19 @@ class EmbeddingService {
           
         } catch (error) {
           console.error(`❌ Batch ${i + 1} failed:`, error.message);
+          options.log?.('warn', `Embedding batch ${i + 1}/${batches.length} failed, retrying chunks individually`, {
+            batch: i + 1,
+            chunks: batch.length,
+            error: error.message
+          });
           
           // Try to process chunks individually as fallback
           console.log(`🔄 Retrying batch ${i + 1} with individual processing...`);
           const individualResults = await this.processIndividually(batch, options);
           chunksWithEmbeddings.push(...individualResults);
         }
+        
+        options.onProgress?.(i + 1, batches.length);
       }
 
       console.log(`✅ Generated embeddings for ${chunksWithEmbeddings.length} chunks`);
@@ -144,6 +151,10 @@ class EmbeddingService {
         
       } catch (error) {
         console.error(`❌ Failed to process chunk ${i + 1}:`, error.message);
+        options.log?.('error', `Embedding failed for chunk ${chunk.index}`, {
+          chunkIndex: chunk.index,
+          error: error.message
+        });
         
         // Add chunk without embedding (will be marked as failed)
         results.push({
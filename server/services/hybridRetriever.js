@@ -0,0 +1,159 @@
+import { createClient } from '@supabase/supabase-js';
+import EmbeddingService from './embeddingService.js';
+import PineconeService from './pineconeService.js';
+import SearchService from './searchService.js';
+
+class HybridRetriever {
+  constructor(options = {}) {
+    this.supabase = null;
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.pineconeService = options.pineconeService || new PineconeService();
+    this.searchService = options.searchService || new SearchService({
+      embeddingService: this.embeddingService,
+      pineconeService: this.pineconeService
+    });
+
+    // Share of the fused ranking given to keyword matches (0 = vector only, 1 = keyword only)
+    const envWeight = parseFloat(process.env.CHAT_KEYWORD_WEIGHT);
+    this.defaultKeywordWeight = envWeight >= 0 && envWeight <= 1 ? envWeight : 0.5;
+    // Each retriever ranks this many times the requested chunks before fusion
+    this.candidateMultiplier = 4;
+    this.minSimilarity = 0.3;
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Find the chunks most relevant to a query by fusing vector and keyword rankings
+   * @param {string} query - Search query
+   * @param {Object} options - { videoIds, topK, candidates, keywordWeight }; `candidates` is how many chunks
+   *   each retriever ranks before fusion, topK * candidateMultiplier by default
+   * @returns {Promise<Array>} - Chunks ({ videoId, chunkIndex, text, startTime, endTime, confidence, similarity, keywordRank, matchTypes, score }) best first
+   */
+  async retrieve(query, options = {}) {
+    const { videoIds, topK = 5, keywordWeight = this.defaultKeywordWeight } = options;
+    const semanticWeight = 1 - keywordWeight;
+    const candidates = Math.max(options.candidates ?? topK * this.candidateMultiplier, topK);
+
+    console.log(`🔀 Hybrid retrieval (keyword weight ${keywordWeight}, ${candidates} candidates each)`);
+
+    const [semanticMatches, keywordMatches] = await Promise.all([
+      semanticWeight > 0 ? this.searchVectors(query, videoIds, candidates) : [],
+      keywordWeight > 0
+        ? this.searchKeywords(query, videoIds, candidates).catch(error => {
+          // Vector results alone still answer most questions
+          console.warn('⚠️  Keyword retrieval unavailable:', error.message);
+          return [];
+        })
+        : []
+    ]);
+
+    console.log(`   • ${semanticMatches.length} vector matches, ${keywordMatches.length} keyword matches`);
+
+    // Vector matches come first so their metadata (confidence) wins for chunks found by both
+    const fused = this.searchService.fuseRankings([
+      { name: 'semantic', items: semanticMatches, weight: semanticWeight },
+      { name: 'keyword', items: keywordMatches, weight: keywordWeight }
+    ]);
+
+    return fused.slice(0, topK);
+  }
+
+  /**
+   * @param {string} query - Search query
+   * @param {Array<string>} videoIds - Videos to search
+   * @param {number} limit - Most chunks to return
+   * @returns {Promise<Array>} - Chunks ranked by cosine similarity
+   */
+  async searchVectors(query, videoIds, limit) {
+    const queryEmbedding = await this.embeddingService.generateQueryEmbedding(query);
+    const filter = videoIds.length === 1 ? { videoId: videoIds[0] } : { videoIds: videoIds };
+
+    const results = await this.pineconeService.searchSimilar(queryEmbedding, {
+      ...filter,
+      topK: limit,
+      minScore: this.minSimilarity
+    });
+
+    return results.map(result => ({
+      key: this.chunkKey(result.metadata.videoId, result.metadata.chunkIndex ?? result.id),
+      videoId: result.metadata.videoId,
+      chunkIndex: result.metadata.chunkIndex,
+      title: result.metadata.title,
+      text: result.metadata.text,
+      startTime: result.metadata.startTime || 0,
+      endTime: result.metadata.endTime || 0,
+      confidence: result.metadata.confidence || 0,
+      similarity: result.score
+    }));
+  }
+
+  /**
+   * @param {string} query - Search query
+   * @param {Array<string>} videoIds - Videos to search
+   * @param {number} limit - Most chunks to return
+   * @returns {Promise<Array>} - Chunks ranked by full-text relevance
+   */
+  async searchKeywords(query, videoIds, limit) {
+    const { data, error } = await this.getSupabase().rpc('search_text_chunks', {
+      p_query: query,
+      p_video_ids: videoIds,
+      p_limit: limit
+    });
+
+    if (error) {
+      throw new Error(`Keyword retrieval failed: ${error.message}`);
+    }
+
+    return data.map(row => ({
+      key: this.chunkKey(row.video_id, row.chunk_index),
+      videoId: row.video_id,
+      chunkIndex: row.chunk_index,
+      text: row.chunk_text,
+      startTime: row.start_time || 0,
+      endTime: row.end_time || 0,
+      confidence: 0,
+      keywordRank: row.rank
+    }));
+  }
+
+  /**
+   * Check the keyword weight of a chat request
+   * @param {*} value - Requested weight
+   * @returns {number} - Weight between 0 and 1 (the configured default when not given)
+   */
+  parseWeight(value) {
+    if (value === undefined || value === null) {
+      return this.defaultKeywordWeight;
+    }
+
+    const weight = Number(value);
+    if (isNaN(weight) || weight < 0 || weight > 1) {
+      throw new Error('keywordWeight must be a number between 0 and 1');
+    }
+    return weight;
+  }
+
+  /**
+   * @param {string} videoId - Video ID
+   * @param {number|string} chunkIndex - Chunk index
+   * @returns {string} - Key shared by a chunk's vector and its text_chunks row
+   */
+  chunkKey(videoId, chunkIndex) {
+    return `${videoId}:${chunkIndex}`;
+  }
+}
+
+export default HybridRetriever;
@@ -0,0 +1,377 @@
+import { createClient } from '@supabase/supabase-js';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+
+class JobQueue {
+  /**
+   * @param {Function} handler - Async job handler, called as handler(job, { isFinalAttempt })
+   * @param {Object} options - Queue options
+   */
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.supabase = null;
+    this.table = 'processing_jobs';
+
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL) || 5000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryDelay = options.retryDelay || parseInt(process.env.JOB_RETRY_DELAY) || 30000;
+    this.heartbeatInterval = options.heartbeatInterval || 15000;
+    this.leaseTimeout = options.leaseTimeout || parseInt(process.env.JOB_LEASE_TIMEOUT) || 120000;
+
+    this.activeJobs = new Map();
+    this.running = false;
+    this.polling = false;
+    this.pollAgain = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} videoId - Video ID
+   * @param {Object} payload - Data the handler needs to run the job
+   * @returns {Promise<Object>} - Created job record
+   */
+  async enqueue(videoId, payload = {}) {
+    const { data, error } = await this.getSupabase()
+      .from(this.table)
+      .insert({
+        video_id: videoId,
+        payload: payload,
+        status: 'queued',
+        max_attempts: this.maxAttempts,
+        run_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Job enqueue failed: ${error.message}`);
+    }
+
+    console.log(`📥 Job ${data.id} queued for video ${videoId}`);
+
+    // Pick it up right away if a slot is free
+    if (this.running) {
+      setImmediate(() => this.poll());
+    }
+
+    return data;
+  }
+
+  /**
+   * Start the worker loop, recovering jobs orphaned by a previous process
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) return;
+
+    this.running = true;
+    console.log(`👷 Job worker ${this.workerId} started (concurrency: ${this.concurrency})`);
+
+    await this.recoverStaleJobs();
+    this.poll();
+  }
+
+  /**
+   * Stop polling and wait for active jobs to settle
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<void>}
+   */
+  async stop(timeout = 30000) {
+    this.running = false;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.activeJobs.size === 0) return;
+
+    console.log(`⏳ Waiting for ${this.activeJobs.size} active job(s) to finish...`);
+
+    await Promise.race([
+      Promise.allSettled(this.activeJobs.values()),
+      new Promise(resolve => setTimeout(resolve, timeout))
+    ]);
+  }
+
+  /**
+   * Claim and start as many due jobs as free slots allow, then reschedule
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (!this.running) return;
+
+    // Never run two polls side by side, or both could claim the last free slot
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    this.polling = true;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        const execution = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.id);
+          setImmediate(() => this.poll());
+        });
+        this.activeJobs.set(job.id, execution);
+      }
+    } catch (error) {
+      console.error('❌ Job polling error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.pollAgain) {
+      this.pollAgain = false;
+      setImmediate(() => this.poll());
+    } else if (this.running) {
+      this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  /**
+   * Atomically claim the oldest due job
+   * @returns {Promise<Object|null>} - Claimed job or null if none available
+   */
+  async claimNextJob() {
+    const { data: candidates, error } = await this.getSupabase()
+      .from(this.table)
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(this.concurrency);
+
+    if (error) {
+      throw new Error(`Job lookup failed: ${error.message}`);
+    }
+
+    for (const candidate of candidates || []) {
+      const now = new Date().toISOString();
+
+      // Conditional update: only one worker can flip a queued job to running
+      const { data: claimed, error: claimError } = await this.getSupabase()
+        .from(this.table)
+        .update({
+          status: 'running',
+          attempts: candidate.attempts + 1,
+          locked_by: this.workerId,
+          locked_at: now,
+          heartbeat_at: now
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'queued')
+        .select()
+        .maybeSingle();
+
+      if (claimError) {
+        console.warn(`⚠️  Job claim warning for ${candidate.id}:`, claimError.message);
+        continue;
+      }
+
+      if (claimed) {
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a claimed job, keeping its lease alive, and record the outcome
+   * @param {Object} job - Claimed job record
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const isFinalAttempt = job.attempts >= job.max_attempts;
+    const heartbeat = setInterval(() => this.heartbeat(job.id), this.heartbeatInterval);
+
+    console.log(`🏃 Running job ${job.id} for video ${job.video_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    try {
+      await this.handler(job, { isFinalAttempt });
+      await this.markCompleted(job);
+      console.log(`✅ Job ${job.id} completed`);
+
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error.message);
+
+      // Errors flagged retryable: false (e.g. an unsupported media URL) fail the same way every time
+      if (isFinalAttempt || error.retryable === false) {
+        await this.markFailed(job, error);
+      } else {
+        await this.scheduleRetry(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Refresh the lease on a running job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async heartbeat(jobId) {
+    const { error } = await this.getSupabase()
+      .from(this.table)
+      .update({ heartbeat_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('locked_by', this.workerId);
+
+    if (error) {
+      console.warn(`⚠️  Job heartbeat warning for ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {Object} job - Job record
+   * @returns {Promise<void>}
+   */
+  async markCompleted(job) {
+    await this.updateJob(job.id, {
+      status: 'completed',
+      locked_by: null,
+      completed_at: new Date().toISOString(),
+      last_error: null,
+      failed_stage: null
+    });
+  }
+
+  /**
+   * Mark a job as permanently failed
+   * @param {Object} job - Job record
+   * @param {Error} error - Last error
+   * @returns {Promise<void>}
+   */
+  async markFailed(job, error) {
+    await this.updateJob(job.id, {
+      status: 'failed',
+      locked_by: null,
+      completed_at: new Date().toISOString(),
+      last_error: error.message,
+      failed_stage: error.stage || null
+    });
+  }
+
+  /**
+   * Put a failed job back in the queue with exponential backoff
+   * @param {Object} job - Job record
+   * @param {Error} error - Error from this attempt
+   * @returns {Promise<void>}
+   */
+  async scheduleRetry(job, error) {
+    const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+    const runAt = new Date(Date.now() + delay).toISOString();
+
+    console.log(`⏳ Job ${job.id} will retry in ${Math.round(delay / 1000)}s`);
+
+    await this.updateJob(job.id, {
+      status: 'queued',
+      locked_by: null,
+      run_at: runAt,
+      last_error: error.message,
+      failed_stage: error.stage || null
+    });
+  }
+
+  /**
+   * Requeue running jobs whose worker stopped sending heartbeats
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - this.leaseTimeout).toISOString();
+
+    const { data, error } = await this.getSupabase()
+      .from(this.table)
+      .update({
+        status: 'queued',
+        locked_by: null,
+        run_at: new Date().toISOString(),
+        last_error: 'Worker lease expired'
+      })
+      .eq('status', 'running')
+      .lt('heartbeat_at', cutoff)
+      .select('id, video_id');
+
+    if (error) {
+      console.warn('⚠️  Stale job recovery warning:', error.message);
+      return 0;
+    }
+
+    if (data && data.length > 0) {
+      console.log(`♻️  Recovered ${data.length} orphaned job(s): ${data.map(job => job.video_id).join(', ')}`);
+    }
+
+    return data?.length || 0;
+  }
+
+  /**
+   * Update a job record
+   * @param {string} jobId - Job ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateJob(jobId, updateData) {
+    const { error } = await this.getSupabase()
+      .from(this.table)
+      .update(updateData)
+      .eq('id', jobId);
+
+    if (error) {
+      console.error(`Job update failed for ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the most recent job for a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} - Job record or null
+   */
+  async getLatestJob(videoId) {
+    const { data, error } = await this.getSupabase()
+      .from(this.table)
+      .select('id, status, attempts, max_attempts, run_at, failed_stage, last_error, created_at, completed_at')
+      .eq('video_id', videoId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Job lookup failed: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default JobQueue;
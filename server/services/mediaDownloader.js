@@ -0,0 +1,266 @@
+import path from 'path';
+import fs from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Media types the pipeline accepts, by file extension
+const extensionTypes = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/avi',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/m4a',
+  '.aac': 'audio/aac'
+};
+
+const typeExtensions = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/avi': '.avi',
+  'video/mpeg': '.mpg',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/m4a': '.m4a',
+  'audio/aac': '.aac'
+};
+
+class MediaDownloader {
+  constructor() {
+    this.maxBytes = parseInt(process.env.MEDIA_DOWNLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024; // 2GB
+    this.timeout = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT) || 60 * 60 * 1000; // 1 hour
+    this.allowedHosts = (process.env.MEDIA_URL_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check that a URL can be ingested
+   * @param {string} url - Media URL
+   * @returns {URL} - Parsed URL
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw this.createError('INVALID_URL', 'A valid media URL is required');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw this.createError('INVALID_URL', 'Only HTTP(S) URLs are supported');
+    }
+
+    if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(parsed.hostname.toLowerCase())) {
+      throw this.createError('INVALID_URL', `Host ${parsed.hostname} is not allowed`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Derive a file name from a URL path
+   * @param {string} url - Media URL
+   * @returns {string} - File name
+   */
+  fileNameFromUrl(url) {
+    const name = this.decodeName(path.posix.basename(new URL(url).pathname));
+    return name || 'media';
+  }
+
+  /**
+   * Percent-decode a file name, keeping it as-is when the encoding is malformed
+   * @param {string} name - Encoded file name
+   * @returns {string} - Decoded file name
+   */
+  decodeName(name) {
+    try {
+      return decodeURIComponent(name);
+    } catch {
+      return name;
+    }
+  }
+
+  /**
+   * Download a media file to disk, streaming it with a size limit and checking its type
+   * @param {string} url - HTTP(S) media URL
+   * @param {string} destinationDir - Directory to download into
+   * @param {Object} options - { onProgress(receivedBytes, totalBytes|null), signal }
+   * @returns {Promise<Object>} - { path, fileName, size, mimeType }
+   */
+  async download(url, destinationDir, options = {}) {
+    const { onProgress = null, signal = null } = options;
+
+    this.validateUrl(url);
+
+    const timeoutSignal = AbortSignal.timeout(this.timeout);
+    const response = await fetch(url, {
+      redirect: 'follow',
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok || !response.body) {
+      // Client errors (missing file, no access) will not fix themselves on retry
+      const error = this.createError('DOWNLOAD_FAILED', `Media server responded with ${response.status} ${response.statusText}`);
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    // Redirects may end on another host
+    this.validateUrl(response.url || url);
+
+    // Content-Length counts compressed bytes when the server encodes the response
+    const contentLength = response.headers.get('content-encoding')
+      ? null
+      : parseInt(response.headers.get('content-length')) || null;
+    if (contentLength && contentLength > this.maxBytes) {
+      throw this.createError('TOO_LARGE', `Media is ${this.formatSize(contentLength)}, the limit is ${this.formatSize(this.maxBytes)}`);
+    }
+
+    const headerType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const fileName = this.fileNameFromHeaders(response.headers) || this.fileNameFromUrl(response.url || url);
+
+    await fs.promises.mkdir(destinationDir, { recursive: true });
+    const filePath = path.join(destinationDir, `download-${Date.now()}-${Math.round(Math.random() * 1E9)}`);
+
+    let received = 0;
+    let head = Buffer.alloc(0);
+
+    // Count bytes against the limit and keep the first few for sniffing
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (received > this.maxBytes) {
+          return callback(this.createError('TOO_LARGE', `Media exceeds the ${this.formatSize(this.maxBytes)} limit`));
+        }
+        if (head.length < 64) {
+          head = Buffer.concat([head, chunk.subarray(0, 64 - head.length)]);
+        }
+        onProgress?.(received, contentLength);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(Readable.fromWeb(response.body), meter, fs.createWriteStream(filePath));
+
+      if (contentLength && received !== contentLength) {
+        throw this.createError('DOWNLOAD_FAILED', `Download ended after ${received} of ${contentLength} bytes`);
+      }
+
+      // The file's own signature wins over headers, which media servers often get wrong
+      const mimeType = this.sniffType(head)
+        || (typeExtensions[headerType] ? headerType : null)
+        || extensionTypes[path.extname(fileName).toLowerCase()];
+
+      if (!mimeType) {
+        throw this.createError('UNSUPPORTED_TYPE', `Unsupported media type${headerType ? ` (${headerType})` : ''}. Only video and audio files are allowed.`);
+      }
+
+      return {
+        path: filePath,
+        fileName: this.withExtension(fileName, mimeType),
+        size: received,
+        mimeType: mimeType
+      };
+
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+
+      if (error.name === 'TimeoutError') {
+        throw this.createError('DOWNLOAD_FAILED', `Download timed out after ${Math.round(this.timeout / 1000)}s`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Detect a media type from the file signature
+   * @param {Buffer} head - First bytes of the file
+   * @returns {string|null} - MIME type, or null when unrecognised
+   */
+  sniffType(head) {
+    const ascii = (start, end) => head.toString('latin1', start, end);
+
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'audio/m4a';
+      return 'video/mp4';
+    }
+
+    if (ascii(0, 4) === 'RIFF') {
+      if (ascii(8, 12) === 'AVI ') return 'video/avi';
+      if (ascii(8, 12) === 'WAVE') return 'audio/wav';
+    }
+
+    if (head.length >= 4 && head[0] === 0x00 && head[1] === 0x00 && head[2] === 0x01 && (head[3] === 0xba || head[3] === 0xb3)) {
+      return 'video/mpeg';
+    }
+
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+
+    if (head.length >= 2 && head[0] === 0xff) {
+      // ADTS (AAC) sets layer bits to 00; MPEG audio frames use a non-zero layer
+      if ((head[1] & 0xf6) === 0xf0) return 'audio/aac';
+      if ((head[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a file name from Content-Disposition
+   * @param {Headers} headers - Response headers
+   * @returns {string|null} - File name
+   */
+  fileNameFromHeaders(headers) {
+    const disposition = headers.get('content-disposition') || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    if (encoded) {
+      return path.basename(this.decodeName(encoded[1])) || null;
+    }
+    const plain = disposition.match(/filename="?([^";]+)"?/i);
+    return plain ? path.basename(plain[1]) : null;
+  }
+
+  /**
+   * Make sure a file name carries an extension matching its type
+   * @param {string} fileName - File name
+   * @param {string} mimeType - Detected MIME type
+   * @returns {string} - File name with extension
+   */
+  withExtension(fileName, mimeType) {
+    if (extensionTypes[path.extname(fileName).toLowerCase()] === mimeType) {
+      return fileName;
+    }
+    return `${fileName}${typeExtensions[mimeType]}`;
+  }
+
+  /**
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - Size in MB
+   */
+  formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+  }
+
+  /**
+   * Create a download error; only DOWNLOAD_FAILED is worth retrying, the others fail the same way every time
+   * @param {string} code - Error code (INVALID_URL, DOWNLOAD_FAILED, TOO_LARGE, UNSUPPORTED_TYPE)
+   * @param {string} message - Error message
+   * @returns {Error} - Error with `code` and `retryable`
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = code === 'DOWNLOAD_FAILED';
+    return error;
+  }
+}
+
+export default MediaDownloader;
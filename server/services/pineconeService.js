@@ -104,9 +104,10 @@ class PineconeService {
    * @param {string} videoId - Video ID
    * @param {Array} chunks - Array of chunks with embeddings
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - { onProgress } called with (batchesDone, totalBatches), { log } with (level, message, details)
    * @returns {Promise<Object>} - Storage result
    */
-  async storeChunks(videoId, chunks, metadata = {}) {
+  async storeChunks(videoId, chunks, metadata = {}, options = {}) {
     try {
       console.log(`📤 Storing ${chunks.length} chunks for video ${videoId}`);
       
@@ -178,7 +179,14 @@ class PineconeService {
             batch: i + 1,
             error: error.message
           });
+          options.log?.('error', `Pinecone batch ${i + 1}/${batches.length} failed`, {
+            batch: i + 1,
+            vectors: batch.length,
+            error: error.message
+          });
         }
+        
+        options.onProgress?.(i + 1, batches.length);
       }
       
       console.log(`✅ Storage complete: ${results.successfulBatches}/${batches.length} batches successful`);
@@ -231,6 +239,7 @@ class PineconeService {
       const {
         topK = 5,
         videoId = null,
+        videoIds = null,
         minScore = 0.7,
         includeMetadata = true
       } = options;
@@ -250,6 +259,11 @@ class PineconeService {
           videoId: { $eq: videoId }
         };
         console.log(`🎯 Filtering by video ID: ${videoId}`);
+      } else if (videoIds && videoIds.length > 0) {
+        query.filter = {
+          videoId: { $in: videoIds }
+        };
+        console.log(`🎯 Filtering by ${videoIds.length} video IDs`);
       }
       
       // Perform search
@@ -0,0 +1,104 @@
+import { createClient } from '@supabase/supabase-js';
+
+class ProcessingLogger {
+  constructor() {
+    this.supabase = null;
+    this.table = 'processing_logs';
+    this.levels = ['info', 'success', 'warn', 'error'];
+
+    // Per-video write chains, so entries land in order without blocking the pipeline
+    this.pending = new Map();
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Record a structured log event for a video
+   * @param {string} videoId - Video ID
+   * @param {string} level - info, success, warn or error
+   * @param {string} stage - Processing stage, or 'pipeline' for whole-run events
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Counts, timings and error details ({ durationMs } is stored in its own column)
+   * @returns {Promise<void>} - Resolves once the entry is written (never rejects)
+   */
+  log(videoId, level, stage, message, details = {}) {
+    const { durationMs = null, ...rest } = details;
+
+    const entry = {
+      video_id: videoId,
+      level: this.levels.includes(level) ? level : 'info',
+      stage: stage,
+      message: message,
+      duration_ms: durationMs === null ? null : Math.round(durationMs),
+      details: rest,
+      created_at: new Date().toISOString()
+    };
+
+    const previous = this.pending.get(videoId) || Promise.resolve();
+    const write = previous.then(() => this.insert(entry));
+
+    this.pending.set(videoId, write);
+    write.then(() => {
+      if (this.pending.get(videoId) === write) {
+        this.pending.delete(videoId);
+      }
+    });
+
+    return write;
+  }
+
+  /**
+   * Insert a log entry; a failed write is reported but never fails processing
+   * @param {Object} entry - Log row
+   * @returns {Promise<void>}
+   */
+  async insert(entry) {
+    try {
+      const { error } = await this.getSupabase()
+        .from(this.table)
+        .insert(entry);
+
+      if (error) {
+        console.warn('⚠️  Processing log write warning:', error.message);
+      }
+    } catch (error) {
+      console.warn('⚠️  Processing log write warning:', error.message);
+    }
+  }
+
+  /**
+   * Wait for all queued entries of a video to be written
+   * @param {string} videoId - Video ID
+   * @returns {Promise<void>}
+   */
+  async flush(videoId) {
+    await this.pending.get(videoId);
+  }
+
+  /**
+   * Extract the loggable parts of an error
+   * @param {Error} error - Error
+   * @returns {Object} - { message, stage, status }
+   */
+  describeError(error) {
+    return {
+      message: error.message,
+      stage: error.stage || null,
+      status: error.status || null
+    };
+  }
+}
+
+export default ProcessingLogger;
@@ -3,23 +3,38 @@ import TranscriptionService from './transcription.js';
 import TextChunker from './textChunker.js';
 import EmbeddingService from './embeddingService.js';
 import PineconeService from './pineconeService.js';
+import ProcessingLogger from './processingLogger.js';
+import MediaDownloader from './mediaDownloader.js';
+import CaptionParser from './captionParser.js';
 import { createClient } from '@supabase/supabase-js';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 
 class ProcessingService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options ({ progressHub } to publish live progress events)
+   */
+  constructor(options = {}) {
     this.audioExtractor = new AudioExtractor();
     this.transcriptionService = new TranscriptionService();
     this.textChunker = new TextChunker();
     this.embeddingService = new EmbeddingService();
     this.pineconeService = new PineconeService();
+    this.processingLogger = new ProcessingLogger();
+    this.mediaDownloader = new MediaDownloader();
+    this.captionParser = new CaptionParser();
     
     // Initialize Supabase client lazily
     this.supabase = null;
     
+    this.progressHub = options.progressHub || null;
+    
     this.processingStages = {
       UPLOADING: 'uploading',
+      DOWNLOADING: 'downloading',
       EXTRACTING_AUDIO: 'extracting_audio',
       TRANSCRIBING: 'transcribing',
       CHUNKING: 'chunking',
@@ -28,6 +43,19 @@ class ProcessingService {
       COMPLETED: 'completed',
       FAILED: 'failed'
     };
+    
+    // Share of the overall percentage each stage's fine-grained progress fills
+    this.stageProgressRanges = {
+      [this.processingStages.DOWNLOADING]: [1, 10],
+      [this.processingStages.EXTRACTING_AUDIO]: [10, 25],
+      [this.processingStages.TRANSCRIBING]: [25, 50],
+      [this.processingStages.EMBEDDING]: [70, 85],
+      [this.processingStages.STORING]: [85, 99]
+    };
+    
+    // Per-stage retry settings (transient API/network failures)
+    this.stageMaxRetries = parseInt(process.env.STAGE_MAX_RETRIES) || 2;
+    this.stageRetryDelay = parseInt(process.env.STAGE_RETRY_DELAY) || 2000;
   }
 
   /**
@@ -44,14 +72,468 @@ class ProcessingService {
     return this.supabase;
   }
 
+  /**
+   * Run a queued processing job: process the uploaded local copy, fetch the media URL it was
+   * ingested from, or fetch the stored original
+   * @param {Object} job - Job record from the processing queue
+   * @param {Object} options - Run options ({ isFinalAttempt })
+   * @returns {Promise<Object>} - Processing result
+   */
+  async processJob(job, options = {}) {
+    const { isFinalAttempt = true } = options;
+    const { storageFileName, localFilePath = null, sourceUrl = null, captions = null, fromStage = null } = job.payload;
+    let { metadata } = job.payload;
+    const videoId = job.video_id;
+    let tempFilePath = null;
+    let succeeded = false;
+    let willNotRetry = false;
+    
+    this.log(videoId, 'info', 'pipeline', `Processing started (attempt ${job.attempts}/${job.max_attempts})`, {
+      jobId: job.id,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      fromStage: fromStage,
+      fileName: metadata?.originalName,
+      fileSize: metadata?.fileSize
+    });
+    
+    try {
+      // Partial reruns start from output saved by the previous run
+      if (fromStage === this.processingStages.CHUNKING || fromStage === this.processingStages.EMBEDDING) {
+        return await this.reprocessFromStage(videoId, fromStage, metadata, { isFinalAttempt });
+      }
+      
+      // Reprocess requests and retries must not leave a previous run's output behind
+      if (fromStage || job.attempts > 1) {
+        await this.clearVideoData(videoId);
+      }
+      
+      // Fresh uploads still have their local copy; reprocessing (or a restart on another host) fetches the original
+      let filePath = localFilePath && await this.fileExists(localFilePath) ? localFilePath : null;
+      
+      // Imported captions replace audio extraction and transcription, so the media itself is not needed
+      const captionFile = captions ? await this.loadCaptions(captions) : null;
+      
+      if (!captionFile && !filePath && sourceUrl && !fromStage) {
+        await this.updateProcessingStatus(videoId, this.processingStages.DOWNLOADING, 1);
+        
+        console.log(`\n🌐 Downloading media from ${sourceUrl}`);
+        const downloaded = await this.runStage(videoId, this.processingStages.DOWNLOADING,
+          () => this.ingestFromUrl(videoId, sourceUrl, storageFileName));
+        
+        tempFilePath = downloaded.path;
+        filePath = downloaded.path;
+        metadata = {
+          ...metadata,
+          originalName: downloaded.fileName,
+          fileSize: downloaded.size,
+          mimeType: downloaded.mimeType
+        };
+      }
+      
+      if (!captionFile && !filePath) {
+        tempFilePath = path.join('temp', `processing-${videoId}-${metadata.originalName}`);
+        await this.downloadOriginal(storageFileName, tempFilePath);
+        filePath = tempFilePath;
+      }
+      
+      const result = await this.processFile(filePath, metadata, videoId, { isFinalAttempt, captions: captionFile });
+      succeeded = true;
+      return result;
+      
+    } catch (error) {
+      // Errors flagged retryable: false (e.g. an unsupported media URL) fail the job right away
+      willNotRetry = isFinalAttempt || error.retryable === false;
+      
+      if (willNotRetry) {
+        // The original stays in storage so the video can be reprocessed later
+        await this.updateProcessingStatus(videoId, this.processingStages.FAILED, 0, error.message);
+        this.log(videoId, 'error', 'pipeline', 'Processing failed', {
+          jobId: job.id,
+          error: this.processingLogger.describeError(error)
+        });
+      } else {
+        // Keep the video visibly in progress while the queue retries
+        await this.updateProcessingStatus(videoId, 'retrying', 5, error.message);
+        this.log(videoId, 'warn', 'pipeline', 'Attempt failed, the job will be retried', {
+          jobId: job.id,
+          attempt: job.attempts,
+          error: this.processingLogger.describeError(error)
+        });
+      }
+      
+      throw error;
+      
+    } finally {
+      await this.processingLogger.flush(videoId);
+      
+      // Clean up temporary file after processing
+      if (tempFilePath) {
+        try {
+          await fs.unlink(tempFilePath);
+        } catch (cleanupError) {
+          console.warn('Temp file cleanup warning:', cleanupError.message);
+        }
+      }
+      
+      // The upload's local copy is kept for retries; once no retry follows, storage holds the only copy
+      if (localFilePath && (succeeded || willNotRetry)) {
+        try {
+          await fs.rm(localFilePath, { force: true });
+        } catch (cleanupError) {
+          console.warn('Upload file cleanup warning:', cleanupError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Download a lecture from its media URL, store the original and record the real file details
+   * @param {string} videoId - Video ID
+   * @param {string} sourceUrl - HTTP(S) media URL
+   * @param {string} storageFileName - Object name in the lecture-videos bucket
+   * @returns {Promise<Object>} - Downloaded file ({ path, fileName, size, mimeType })
+   */
+  async ingestFromUrl(videoId, sourceUrl, storageFileName) {
+    let lastReported = 0;
+    
+    const downloaded = await this.mediaDownloader.download(sourceUrl, 'uploads', {
+      onProgress: (received, total) => {
+        // Without a Content-Length, report every 10MB
+        const step = total ? total / 100 : 10 * 1024 * 1024;
+        if (received - lastReported < step && received !== total) return;
+        lastReported = received;
+        
+        this.reportProgress(videoId, this.processingStages.DOWNLOADING, {
+          current: received,
+          total: total || 0,
+          unit: 'bytes'
+        });
+      }
+    });
+    
+    try {
+      console.log(`✅ Downloaded ${downloaded.fileName} (${(downloaded.size / 1024 / 1024).toFixed(2)} MB, ${downloaded.mimeType})`);
+      this.log(videoId, 'info', this.processingStages.DOWNLOADING, 'Media downloaded', {
+        sourceUrl: sourceUrl,
+        fileName: downloaded.fileName,
+        fileSize: downloaded.size,
+        mimeType: downloaded.mimeType
+      });
+      
+      // Retries download again, so an earlier copy is overwritten
+      await this.uploadOriginal(downloaded.path, storageFileName, downloaded.mimeType, { upsert: true });
+      
+      const { error } = await this.getSupabase()
+        .from('videos')
+        .update({
+          file_name: downloaded.fileName,
+          file_size: downloaded.size,
+          file_type: downloaded.mimeType,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', videoId);
+      
+      if (error) {
+        throw new Error(`Video update failed: ${error.message}`);
+      }
+      
+      return downloaded;
+      
+    } catch (error) {
+      await fs.rm(downloaded.path, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a local file into the lecture-videos bucket, without holding it in memory
+   * @param {string} filePath - Local file path
+   * @param {string} storageFileName - Object name in the lecture-videos bucket
+   * @param {string} mimeType - Content type
+   * @param {Object} options - { upsert } to replace an existing object
+   * @returns {Promise<void>}
+   */
+  async uploadOriginal(filePath, storageFileName, mimeType, options = {}) {
+    const { error: uploadError } = await this.getSupabase()
+      .storage
+      .from('lecture-videos')
+      .upload(storageFileName, createReadStream(filePath), {
+        contentType: mimeType,
+        upsert: options.upsert || false,
+        duplex: 'half'
+      });
+    
+    if (uploadError) {
+      throw new Error(`Storage upload failed: ${uploadError.message}`);
+    }
+    
+    console.log(`✅ File uploaded to storage: ${storageFileName}`);
+  }
+
+  /**
+   * Stream the stored original to a local file, without holding it in memory
+   * @param {string} storageFileName - Object name in the lecture-videos bucket
+   * @param {string} destinationPath - Local file path
+   * @returns {Promise<void>}
+   */
+  async downloadOriginal(storageFileName, destinationPath) {
+    const { data: stream, error: downloadError } = await this.getSupabase()
+      .storage
+      .from('lecture-videos')
+      .download(storageFileName)
+      .asStream();
+    
+    if (downloadError) {
+      throw new Error(`Failed to download file for processing: ${downloadError.message}`);
+    }
+    
+    // Ensure temp directory exists
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    
+    try {
+      await pipeline(Readable.fromWeb(stream), createWriteStream(destinationPath));
+    } catch (error) {
+      await fs.rm(destinationPath, { force: true });
+      throw new Error(`Failed to download file for processing: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} - Whether the file exists
+   */
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Re-run the tail of the pipeline from saved output, skipping audio extraction
+   * and transcription (chunking) or also chunking (embedding)
+   * @param {string} videoId - Video ID
+   * @param {string} fromStage - CHUNKING or EMBEDDING
+   * @param {Object} metadata - Video metadata (title, subject, description)
+   * @param {Object} options - Run options ({ isFinalAttempt })
+   * @returns {Promise<Object>} - Processing result
+   */
+  async reprocessFromStage(videoId, fromStage, metadata, options = {}) {
+    const { isFinalAttempt = true } = options;
+    const startTime = Date.now();
+    
+    try {
+      console.log(`🔄 Reprocessing video ${videoId} from stage: ${fromStage}`);
+      
+      let transcriptId;
+      let chunks;
+      
+      if (fromStage === this.processingStages.CHUNKING) {
+        const transcript = await this.loadTranscript(videoId);
+        transcriptId = transcript.id;
+        
+        await this.updateProcessingStatus(videoId, this.processingStages.CHUNKING, 50);
+        
+        console.log('\n✂️  Re-chunking saved transcript');
+        chunks = await this.runStage(videoId, this.processingStages.CHUNKING,
+          () => this.chunkText(transcript.transcriptionResult, videoId));
+      } else {
+        chunks = await this.loadChunks(videoId);
+        transcriptId = chunks[0].transcriptId;
+      }
+      
+      // Old vectors and chunk rows are replaced by this run
+      try {
+        await this.pineconeService.deleteVideoVectors(videoId);
+      } catch (pineconeError) {
+        console.warn('⚠️  Pinecone cleanup warning:', pineconeError.message);
+      }
+      
+      await this.updateProcessingStatus(videoId, this.processingStages.EMBEDDING, 70);
+      
+      console.log('\n🧠 Re-generating embeddings');
+      const chunksWithEmbeddings = await this.runStage(videoId, this.processingStages.EMBEDDING,
+        () => this.generateEmbeddings(chunks, videoId));
+      
+      await this.updateProcessingStatus(videoId, this.processingStages.STORING, 85);
+      
+      console.log('\n📤 Re-storing vectors');
+      const storageResult = await this.runStage(videoId, this.processingStages.STORING,
+        () => this.storeInPinecone(videoId, chunksWithEmbeddings, metadata));
+      
+      console.log('\n💾 Replacing stored chunks');
+      await this.getSupabase().from('text_chunks').delete().eq('video_id', videoId);
+      await this.saveChunks(videoId, transcriptId, chunks);
+      
+      await this.updateProcessingStatus(videoId, this.processingStages.COMPLETED, 100);
+      
+      const result = {
+        success: true,
+        videoId: videoId,
+        fromStage: fromStage,
+        chunks: {
+          total: chunks.length,
+          withEmbeddings: chunksWithEmbeddings.filter(c => c.embedding).length
+        },
+        storage: storageResult,
+        processingTime: Date.now() - startTime
+      };
+      
+      console.log('\n✅ Reprocessing completed successfully!');
+      console.log('📊 Final Results:', result);
+      
+      this.log(videoId, 'success', 'pipeline', `Reprocessing from ${fromStage} completed`, {
+        durationMs: result.processingTime,
+        chunks: result.chunks,
+        storage: storageResult
+      });
+      
+      this.publish(videoId, 'completed', { result });
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ Reprocessing failed:', error.message);
+      
+      if (isFinalAttempt) {
+        await this.updateProcessingStatus(videoId, this.processingStages.FAILED, 0, error.message);
+      }
+      
+      const processingError = new Error(`Reprocessing failed: ${error.message}`, { cause: error });
+      processingError.stage = error.stage;
+      processingError.retryable = error.retryable;
+      throw processingError;
+    }
+  }
+
+  /**
+   * Load the saved transcript for a video in transcription result shape
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} - Transcript ID and transcription result
+   */
+  async loadTranscript(videoId) {
+    const { data, error } = await this.getSupabase()
+      .from('transcripts')
+      .select('id, full_text, language')
+      .eq('video_id', videoId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      throw new Error(`Transcript load failed: ${error.message}`);
+    }
+    
+    if (!data) {
+      throw new Error('No saved transcript found for this video');
+    }
+    
+    const segments = await this.loadSegments(data.id);
+    
+    // The media duration is where speech ends; the transcripts row has no column for it
+    const duration = segments.length > 0
+      ? Math.max(...segments.map(segment => segment.end || 0))
+      : 0;
+    
+    return {
+      id: data.id,
+      transcriptionResult: {
+        text: data.full_text,
+        segments: segments,
+        language: data.language || 'en',
+        duration: duration
+      }
+    };
+  }
+
+  /**
+   * Load the saved text chunks for a video in chunker output shape
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Array>} - Text chunks
+   */
+  async loadChunks(videoId) {
+    const { data, error } = await this.getSupabase()
+      .from('text_chunks')
+      .select('transcript_id, chunk_index, chunk_text, start_time, end_time')
+      .eq('video_id', videoId)
+      .order('chunk_index', { ascending: true });
+    
+    if (error) {
+      throw new Error(`Chunks load failed: ${error.message}`);
+    }
+    
+    if (!data || data.length === 0) {
+      throw new Error('No saved chunks found for this video');
+    }
+    
+    return data.map(row => ({
+      transcriptId: row.transcript_id,
+      index: row.chunk_index,
+      text: row.chunk_text,
+      length: row.chunk_text.length,
+      wordCount: this.textChunker.countWords(row.chunk_text),
+      startTime: row.start_time || 0,
+      endTime: row.end_time || 0
+    }));
+  }
+
+  /**
+   * Run a pipeline stage, retrying transient failures with exponential backoff
+   * @param {string} videoId - Video ID (for the processing log)
+   * @param {string} stage - Processing stage name
+   * @param {Function} fn - Async stage implementation
+   * @returns {Promise<*>} - Stage result
+   */
+  async runStage(videoId, stage, fn) {
+    const stageStart = Date.now();
+    this.log(videoId, 'info', stage, `Stage ${stage} started`);
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await fn();
+        this.log(videoId, 'success', stage, `Stage ${stage} completed`, {
+          durationMs: Date.now() - stageStart,
+          attempts: attempt + 1
+        });
+        return result;
+      } catch (error) {
+        if (attempt >= this.stageMaxRetries || error.retryable === false) {
+          error.stage = stage;
+          this.log(videoId, 'error', stage, `Stage ${stage} failed`, {
+            durationMs: Date.now() - stageStart,
+            attempts: attempt + 1,
+            error: this.processingLogger.describeError(error)
+          });
+          throw error;
+        }
+        
+        const delay = this.stageRetryDelay * Math.pow(2, attempt);
+        this.log(videoId, 'warn', stage, `Stage ${stage} failed, retrying in ${delay}ms`, {
+          attempt: attempt + 1,
+          error: this.processingLogger.describeError(error)
+        });
+        console.warn(`⚠️  Stage ${stage} failed (attempt ${attempt + 1}): ${error.message}`);
+        console.log(`⏳ Retrying ${stage} in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
   /**
    * Process uploaded file (video or audio) through the complete RAG pipeline
-   * @param {string} filePath - Path to uploaded file
+   * @param {string} filePath - Path to uploaded file (unused when captions are given)
    * @param {Object} metadata - File metadata (title, subject, description)
    * @param {string} videoId - Video ID from database
+   * @param {Object} options - Run options ({ isFinalAttempt, captions }); captions ({ fileName, content, language })
+   *   are used as the transcript instead of extracting and transcribing the audio
    * @returns {Promise<Object>} - Processing result
    */
-  async processFile(filePath, metadata, videoId) {
+  async processFile(filePath, metadata, videoId, options = {}) {
+    const { isFinalAttempt = true, captions = null } = options;
+    const startTime = Date.now();
     let audioPath = null;
     
     try {
@@ -59,40 +541,57 @@ class ProcessingService {
       console.log(`📁 File: ${filePath}`);
       console.log(`📋 Metadata:`, metadata);
       
-      // Update status to extracting audio
-      await this.updateProcessingStatus(videoId, this.processingStages.EXTRACTING_AUDIO, 10);
-      
-      // Step 1: Extract or process audio
-      console.log('\n🎵 Step 1: Audio Extraction/Processing');
-      audioPath = await this.extractAudio(filePath, videoId);
+      let transcriptionResult;
       
-      // Update status to transcribing
-      await this.updateProcessingStatus(videoId, this.processingStages.TRANSCRIBING, 25);
-      
-      // Step 2: Transcribe audio to text
-      console.log('\n📝 Step 2: Audio Transcription');
-      const transcriptionResult = await this.transcribeAudio(audioPath, videoId);
+      if (captions) {
+        // Update status to transcribing
+        await this.updateProcessingStatus(videoId, this.processingStages.TRANSCRIBING, 25);
+        
+        // Steps 1-2: Use the imported captions as the transcript
+        console.log('\n📝 Steps 1-2: Caption Import (skipping audio extraction and transcription)');
+        transcriptionResult = await this.runStage(videoId, this.processingStages.TRANSCRIBING,
+          () => this.importCaptions(captions, videoId));
+      } else {
+        // Update status to extracting audio
+        await this.updateProcessingStatus(videoId, this.processingStages.EXTRACTING_AUDIO, 10);
+        
+        // Step 1: Extract or process audio
+        console.log('\n🎵 Step 1: Audio Extraction/Processing');
+        audioPath = await this.runStage(videoId, this.processingStages.EXTRACTING_AUDIO,
+          () => this.extractAudio(filePath, videoId));
+        
+        // Update status to transcribing
+        await this.updateProcessingStatus(videoId, this.processingStages.TRANSCRIBING, 25);
+        
+        // Step 2: Transcribe audio to text
+        console.log('\n📝 Step 2: Audio Transcription');
+        transcriptionResult = await this.runStage(videoId, this.processingStages.TRANSCRIBING,
+          () => this.transcribeAudio(audioPath, videoId));
+      }
       
       // Update status to chunking
       await this.updateProcessingStatus(videoId, this.processingStages.CHUNKING, 50);
       
       // Step 3: Chunk the transcribed text
       console.log('\n✂️  Step 3: Text Chunking');
-      const chunks = await this.chunkText(transcriptionResult, videoId);
+      const chunks = await this.runStage(videoId, this.processingStages.CHUNKING,
+        () => this.chunkText(transcriptionResult, videoId));
       
       // Update status to embedding
       await this.updateProcessingStatus(videoId, this.processingStages.EMBEDDING, 70);
       
       // Step 4: Generate embeddings for chunks
       console.log('\n🧠 Step 4: Embedding Generation');
-      const chunksWithEmbeddings = await this.generateEmbeddings(chunks, videoId);
+      const chunksWithEmbeddings = await this.runStage(videoId, this.processingStages.EMBEDDING,
+        () => this.generateEmbeddings(chunks, videoId));
       
       // Update status to storing
       await this.updateProcessingStatus(videoId, this.processingStages.STORING, 85);
       
       // Step 5: Store in Pinecone
       console.log('\n📤 Step 5: Vector Storage');
-      const storageResult = await this.storeInPinecone(videoId, chunksWithEmbeddings, metadata);
+      const storageResult = await this.runStage(videoId, this.processingStages.STORING,
+        () => this.storeInPinecone(videoId, chunksWithEmbeddings, metadata));
       
       // Step 6: Save to database
       console.log('\n💾 Step 6: Database Storage');
@@ -117,31 +616,55 @@ class ProcessingService {
           withEmbeddings: chunksWithEmbeddings.filter(c => c.embedding).length
         },
         storage: storageResult,
-        processingTime: Date.now() - this.startTime
+        processingTime: Date.now() - startTime
       };
       
       console.log('\n✅ Processing pipeline completed successfully!');
       console.log('📊 Final Results:', result);
       
+      this.log(videoId, 'success', 'pipeline', 'Processing completed', {
+        durationMs: result.processingTime,
+        audioDuration: result.transcription.duration,
+        segments: result.transcription.segments,
+        chunks: result.chunks,
+        storage: storageResult
+      });
+      
+      // The full transcript text is too large to push to every subscriber
+      this.publish(videoId, 'completed', {
+        result: {
+          ...result,
+          transcription: {
+            duration: result.transcription.duration,
+            segments: result.transcription.segments
+          }
+        }
+      });
+      
       return result;
       
     } catch (error) {
       console.error('❌ Processing pipeline failed:', error.message);
       
-      // Update status to failed
-      await this.updateProcessingStatus(
-        videoId, 
-        this.processingStages.FAILED, 
-        0, 
-        error.message
-      );
+      // Update status to failed (the queue handles status between retries)
+      if (isFinalAttempt) {
+        await this.updateProcessingStatus(
+          videoId, 
+          this.processingStages.FAILED, 
+          0, 
+          error.message
+        );
+      }
       
       // Cleanup on failure
       if (audioPath) {
         await this.cleanup(audioPath, filePath);
       }
       
-      throw new Error(`Processing failed: ${error.message}`);
+      const processingError = new Error(`Processing failed: ${error.message}`, { cause: error });
+      processingError.stage = error.stage;
+      processingError.retryable = error.retryable;
+      throw processingError;
     }
   }
 
@@ -154,10 +677,17 @@ class ProcessingService {
   async extractAudio(filePath, videoId) {
     try {
       const isVideo = await this.audioExtractor.isVideoFile(filePath);
+      const onProgress = (percent) => this.reportProgress(videoId, this.processingStages.EXTRACTING_AUDIO, {
+        current: Math.round(percent),
+        total: 100,
+        unit: 'percent'
+      });
+      const onCommand = (command) => this.log(videoId, 'info', this.processingStages.EXTRACTING_AUDIO,
+        'FFmpeg command', { command, isVideo });
       
       if (isVideo) {
         console.log('🎬 Processing video file - extracting audio...');
-        const audioPath = await this.audioExtractor.extractAudio(filePath, videoId);
+        const audioPath = await this.audioExtractor.extractAudio(filePath, videoId, { onProgress, onCommand });
         console.log(`✅ Audio extracted to: ${audioPath}`);
         return audioPath;
       } else {
@@ -165,9 +695,10 @@ class ProcessingService {
         // For audio files, we might still need to convert format for Whisper
         const audioInfo = await this.audioExtractor.getAudioInfo(filePath);
         console.log('📊 Audio info:', audioInfo);
+        this.log(videoId, 'info', this.processingStages.EXTRACTING_AUDIO, 'Input audio info', audioInfo);
         
         // Convert to optimal format for Whisper if needed
-        const optimizedPath = await this.audioExtractor.extractAudio(filePath, videoId);
+        const optimizedPath = await this.audioExtractor.extractAudio(filePath, videoId, { onProgress, onCommand });
         console.log(`✅ Audio optimized for transcription: ${optimizedPath}`);
         return optimizedPath;
       }
@@ -192,13 +723,29 @@ class ProcessingService {
       console.log('💰 Estimated cost:', costEstimate);
       
       // Perform transcription
-      const transcriptionResult = await this.transcriptionService.transcribeAudio(audioPath, videoId);
+      const transcriptionResult = await this.transcriptionService.transcribeAudio(audioPath, videoId, {
+        onProgress: (current, total) => this.reportProgress(videoId, this.processingStages.TRANSCRIBING, {
+          current,
+          total,
+          unit: 'pieces'
+        })
+      });
       
       console.log('✅ Transcription completed');
       console.log(`📝 Text length: ${transcriptionResult.text.length} characters`);
       console.log(`⏱️  Duration: ${transcriptionResult.duration} seconds`);
       console.log(`🎯 Segments: ${transcriptionResult.segments?.length || 0}`);
       
+      this.log(videoId, 'info', this.processingStages.TRANSCRIBING,
+        `Transcribed ${transcriptionResult.text.length} characters`, {
+          characters: transcriptionResult.text.length,
+          words: transcriptionResult.wordCount,
+          segments: transcriptionResult.segments?.length || 0,
+          audioDuration: transcriptionResult.duration,
+          language: transcriptionResult.language,
+          estimatedCost: costEstimate
+        });
+      
       return transcriptionResult;
       
     } catch (error) {
@@ -207,6 +754,66 @@ class ProcessingService {
     }
   }
 
+  /**
+   * Parse an imported caption file into the transcription result shape
+   * @param {Object} captions - { fileName, content, language }
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} - Transcription result
+   */
+  async importCaptions(captions, videoId) {
+    try {
+      const format = this.captionParser.detectFormat(captions.fileName, captions.content);
+      const transcriptionResult = this.captionParser.parse(captions.content, {
+        format: format,
+        language: captions.language
+      });
+      
+      console.log(`✅ Imported ${transcriptionResult.segments.length} caption cues from ${captions.fileName}`);
+      
+      this.log(videoId, 'info', this.processingStages.TRANSCRIBING,
+        `Imported ${transcriptionResult.segments.length} caption cues, Whisper skipped`, {
+          fileName: captions.fileName,
+          format: format,
+          characters: transcriptionResult.text.length,
+          words: transcriptionResult.wordCount,
+          segments: transcriptionResult.segments.length,
+          duration: transcriptionResult.duration,
+          language: transcriptionResult.language
+        });
+      
+      return transcriptionResult;
+      
+    } catch (error) {
+      console.error('❌ Caption import failed:', error.message);
+      const importError = new Error(`Caption import failed: ${error.message}`);
+      // A malformed file stays malformed
+      importError.retryable = false;
+      throw importError;
+    }
+  }
+
+  /**
+   * Fetch a stored caption file
+   * @param {Object} captions - { path, fileName, language } from the job payload
+   * @returns {Promise<Object>} - { fileName, content, language }
+   */
+  async loadCaptions(captions) {
+    const { data, error } = await this.getSupabase()
+      .storage
+      .from('lecture-videos')
+      .download(captions.path);
+    
+    if (error) {
+      throw new Error(`Failed to download captions: ${error.message}`);
+    }
+    
+    return {
+      fileName: captions.fileName,
+      content: await data.text(),
+      language: captions.language
+    };
+  }
+
   /**
    * Chunk transcribed text into semantic pieces
    * @param {Object} transcriptionResult - Transcription result
@@ -230,6 +837,12 @@ class ProcessingService {
       
       console.log(`✅ Text chunking completed: ${chunks.length} chunks created`);
       
+      this.log(videoId, 'info', this.processingStages.CHUNKING, `Created ${chunks.length} chunks`, {
+        chunks: chunks.length,
+        mode: this.textChunker.defaultMode,
+        parameters: optimalParams
+      });
+      
       return chunks;
       
     } catch (error) {
@@ -253,10 +866,26 @@ class ProcessingService {
       console.log('💰 Estimated embedding cost:', costEstimate);
       
       // Generate embeddings
-      const chunksWithEmbeddings = await this.embeddingService.generateEmbeddings(chunks);
+      const chunksWithEmbeddings = await this.embeddingService.generateEmbeddings(chunks, {
+        onProgress: (current, total) => this.reportProgress(videoId, this.processingStages.EMBEDDING, {
+          current,
+          total,
+          unit: 'batches'
+        }),
+        log: (level, message, details) => this.log(videoId, level, this.processingStages.EMBEDDING, message, details)
+      });
       
       console.log(`✅ Embedding generation completed`);
       
+      const failed = chunksWithEmbeddings.filter(chunk => !chunk.embedding).length;
+      this.log(videoId, failed > 0 ? 'warn' : 'info', this.processingStages.EMBEDDING,
+        `Embedded ${chunksWithEmbeddings.length - failed}/${chunks.length} chunks`, {
+          chunks: chunks.length,
+          embedded: chunksWithEmbeddings.length - failed,
+          failed: failed,
+          estimatedCost: costEstimate
+        });
+      
       return chunksWithEmbeddings;
       
     } catch (error) {
@@ -290,11 +919,26 @@ class ProcessingService {
           title: metadata.title,
           subject: metadata.subject,
           description: metadata.description
+        },
+        {
+          onProgress: (current, total) => this.reportProgress(videoId, this.processingStages.STORING, {
+            current,
+            total,
+            unit: 'batches'
+          }),
+          log: (level, message, details) => this.log(videoId, level, this.processingStages.STORING, message, details)
         }
       );
       
       console.log('✅ Pinecone storage completed');
       
+      this.log(videoId, storageResult.failedBatches > 0 ? 'warn' : 'info', this.processingStages.STORING,
+        `Stored ${storageResult.totalVectors} vectors`, {
+          totalVectors: storageResult.totalVectors,
+          successfulBatches: storageResult.successfulBatches,
+          failedBatches: storageResult.failedBatches
+        });
+      
       return storageResult;
       
     } catch (error) {
@@ -336,37 +980,150 @@ class ProcessingService {
       
       const transcriptId = transcriptData.id;
       
+      // Save timed segments
+      await this.saveSegments(videoId, transcriptId, transcriptionResult.segments || []);
+      
       // Save text chunks
-      const chunkRecords = chunks.map(chunk => ({
-        video_id: videoId,
-        transcript_id: transcriptId,
-        chunk_index: chunk.index,
-        chunk_text: chunk.text,
-        start_time: chunk.startTime,
-        end_time: chunk.endTime,
-        embedding_model: chunk.embeddingModel || 'text-embedding-3-small',
-        chunk_length: chunk.text ? chunk.text.length : 0,
-        pinecone_id: chunk.pineconeId || null,
-        has_embedding: !!(chunk.embedding && chunk.pineconeId)
-      }));
-      
-      const { error: chunksError } = await this.getSupabase()
-        .from('text_chunks')
-        .insert(chunkRecords);
-      
-      if (chunksError) {
-        console.error('Full chunks error object:', chunksError);
-        throw new Error(`Chunks save failed: ${chunksError.message || chunksError.details || JSON.stringify(chunksError)}`);
-      }
+      await this.saveChunks(videoId, transcriptId, chunks);
       
       console.log('✅ Database save completed');
       
+      this.log(videoId, 'info', this.processingStages.STORING, 'Saved transcript, segments and chunks', {
+        transcriptId: transcriptId,
+        segments: transcriptionResult.segments?.length || 0,
+        chunks: chunks.length
+      });
+      
     } catch (error) {
       console.error('❌ Database save failed:', error.message);
       throw new Error(`Database save failed: ${error.message}`);
     }
   }
 
+  /**
+   * Save transcription segments for a transcript
+   * @param {string} videoId - Video ID
+   * @param {string} transcriptId - Transcript ID
+   * @param {Array} segments - Segments from TranscriptionService.parseSegments
+   * @returns {Promise<void>}
+   */
+  async saveSegments(videoId, transcriptId, segments) {
+    if (segments.length === 0) {
+      console.warn('⚠️  No segments to save for this transcript');
+      return;
+    }
+    
+    const segmentRecords = segments.map((segment, index) => ({
+      video_id: videoId,
+      transcript_id: transcriptId,
+      segment_index: index,
+      start_time: segment.start || 0,
+      end_time: segment.end || 0,
+      text: (segment.text || '').trim(),
+      confidence: segment.confidence ?? null
+    }));
+    
+    // Long lectures have thousands of segments; insert in batches
+    const batchSize = 500;
+    for (let i = 0; i < segmentRecords.length; i += batchSize) {
+      const { error: segmentsError } = await this.getSupabase()
+        .from('transcript_segments')
+        .insert(segmentRecords.slice(i, i + batchSize));
+      
+      if (segmentsError) {
+        console.error('Full segments error object:', segmentsError);
+        throw new Error(`Segments save failed: ${segmentsError.message || segmentsError.details || JSON.stringify(segmentsError)}`);
+      }
+    }
+    
+    console.log(`✅ Saved ${segmentRecords.length} transcript segments`);
+  }
+
+  /**
+   * Load saved transcription segments for a transcript
+   * @param {string} transcriptId - Transcript ID
+   * @returns {Promise<Array>} - Segments in TranscriptionService.parseSegments shape
+   */
+  async loadSegments(transcriptId) {
+    const segments = [];
+    const pageSize = 1000;
+    
+    // PostgREST caps rows per request, so page through them
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.getSupabase()
+        .from('transcript_segments')
+        .select('segment_index, start_time, end_time, text, confidence')
+        .eq('transcript_id', transcriptId)
+        .order('segment_index', { ascending: true })
+        .range(from, from + pageSize - 1);
+      
+      if (error) {
+        throw new Error(`Segments load failed: ${error.message}`);
+      }
+      
+      segments.push(...data.map(row => ({
+        id: row.segment_index,
+        start: row.start_time,
+        end: row.end_time,
+        text: row.text,
+        confidence: row.confidence || 0
+      })));
+      
+      if (data.length < pageSize) break;
+    }
+    
+    return segments;
+  }
+
+  /**
+   * Save text chunks for a transcript
+   * @param {string} videoId - Video ID
+   * @param {string} transcriptId - Transcript ID
+   * @param {Array} chunks - Text chunks
+   * @returns {Promise<void>}
+   */
+  async saveChunks(videoId, transcriptId, chunks) {
+    const chunkRecords = chunks.map(chunk => ({
+      video_id: videoId,
+      transcript_id: transcriptId,
+      chunk_index: chunk.index,
+      chunk_text: chunk.text,
+      start_time: chunk.startTime,
+      end_time: chunk.endTime,
+      embedding_model: chunk.embeddingModel || 'text-embedding-3-small',
+      chunk_length: chunk.text ? chunk.text.length : 0,
+      pinecone_id: chunk.pineconeId || null,
+      has_embedding: !!(chunk.embedding && chunk.pineconeId)
+    }));
+    
+    const { error: chunksError } = await this.getSupabase()
+      .from('text_chunks')
+      .insert(chunkRecords);
+    
+    if (chunksError) {
+      console.error('Full chunks error object:', chunksError);
+      throw new Error(`Chunks save failed: ${chunksError.message || chunksError.details || JSON.stringify(chunksError)}`);
+    }
+  }
+
+  /**
+   * Remove vectors, chunks and transcripts stored for a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<void>}
+   */
+  async clearVideoData(videoId) {
+    console.log(`🧹 Clearing stored processing output for video ${videoId}...`);
+    
+    try {
+      await this.pineconeService.deleteVideoVectors(videoId);
+    } catch (pineconeError) {
+      console.warn('⚠️  Pinecone cleanup warning:', pineconeError.message);
+    }
+    
+    await this.getSupabase().from('text_chunks').delete().eq('video_id', videoId);
+    await this.getSupabase().from('transcripts').delete().eq('video_id', videoId);
+  }
+
   /**
    * Update processing status in database
    * @param {string} videoId - Video ID
@@ -406,11 +1163,59 @@ class ProcessingService {
         console.log(`📊 Status updated: ${stage} (${progress}%)`);
       }
       
+      this.publish(videoId, 'status', {
+        status: updateData.status,
+        stage: stage,
+        progress: progress,
+        error: errorMessage
+      });
+      
     } catch (error) {
       console.error('Status update error:', error.message);
     }
   }
 
+  /**
+   * Publish fine-grained progress within a stage, scaled into that stage's share of the overall percentage
+   * @param {string} videoId - Video ID
+   * @param {string} stage - Processing stage
+   * @param {Object} detail - { current, total, unit }
+   */
+  reportProgress(videoId, stage, detail) {
+    const [from, to] = this.stageProgressRanges[stage];
+    const fraction = detail.total > 0 ? Math.min(detail.current / detail.total, 1) : 0;
+    
+    this.publish(videoId, 'progress', {
+      stage: stage,
+      progress: Math.round(from + (to - from) * fraction),
+      ...detail
+    });
+  }
+
+  /**
+   * Record a structured event in the video's processing log
+   * @param {string} videoId - Video ID
+   * @param {string} level - info, success, warn or error
+   * @param {string} stage - Processing stage, or 'pipeline' for whole-run events
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Counts, timings ({ durationMs }) and error details
+   */
+  log(videoId, level, stage, message, details = {}) {
+    this.processingLogger.log(videoId, level, stage, message, details);
+  }
+
+  /**
+   * Publish a live processing event, if a progress hub is attached
+   * @param {string} videoId - Video ID
+   * @param {string} type - Event type (status, progress, completed)
+   * @param {Object} data - Event payload
+   */
+  publish(videoId, type, data) {
+    if (this.progressHub) {
+      this.progressHub.publish(videoId, type, data);
+    }
+  }
+
   /**
    * Cleanup temporary files
    * @param {string} audioPath - Audio file path
@@ -0,0 +1,67 @@
+import { EventEmitter } from 'events';
+
+class ProgressHub extends EventEmitter {
+  constructor() {
+    super();
+
+    // One listener per open progress stream
+    this.setMaxListeners(0);
+
+    // Last event per video, so new subscribers see fine-grained progress right away
+    this.latest = new Map();
+  }
+
+  /**
+   * Publish a processing event for a video
+   * @param {string} videoId - Video ID
+   * @param {string} type - Event type (status, progress, completed)
+   * @param {Object} data - Event payload
+   */
+  publish(videoId, type, data = {}) {
+    const previous = this.latest.get(videoId);
+
+    // ffmpeg reports progress many times a second; only forward actual changes
+    if (type === 'progress' && previous?.type === 'progress' &&
+        previous.data.stage === data.stage &&
+        previous.data.progress === data.progress &&
+        previous.data.current === data.current) {
+      return;
+    }
+
+    const event = {
+      type: type,
+      data: { videoId, ...data, timestamp: new Date().toISOString() }
+    };
+
+    if (type === 'completed' || (type === 'status' && data.status !== 'processing')) {
+      this.latest.delete(videoId);
+    } else {
+      this.latest.set(videoId, event);
+    }
+
+    this.emit(videoId, event);
+    this.emit('*', event);
+  }
+
+  /**
+   * Subscribe to the events of one video, or of all videos with '*'
+   * @param {string} videoId - Video ID or '*'
+   * @param {Function} listener - Called with each { type, data } event
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(videoId, listener) {
+    this.on(videoId, listener);
+    return () => this.off(videoId, listener);
+  }
+
+  /**
+   * Get the last in-flight event for a video
+   * @param {string} videoId - Video ID
+   * @returns {Object|null} - Last { type, data } event or null
+   */
+  getLatest(videoId) {
+    return this.latest.get(videoId) || null;
+  }
+}
+
+export default ProgressHub;
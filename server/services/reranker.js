@@ -0,0 +1,191 @@
+import OpenAI from 'openai';
+
+/**
+ * Scores passages by asking a chat model to grade each one against the question
+ */
+class LlmScorer {
+  constructor() {
+    this.openai = null;
+    this.model = process.env.RERANKER_MODEL || 'gpt-3.5-turbo';
+    // Passages are cut to this length so a full candidate list fits in one request
+    this.maxPassageLength = 1500;
+    // Graded 0-10; 5 ("partly answers the question") is where passages start to help
+    this.defaultThreshold = 0.5;
+  }
+
+  /**
+   * Get OpenAI client instance (lazy initialization)
+   * @returns {OpenAI} - OpenAI client instance
+   */
+  getOpenAI() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openai;
+  }
+
+  /**
+   * @param {string} query - Question
+   * @param {Array<string>} passages - Candidate passages
+   * @returns {Promise<Array<number>>} - Relevance between 0 and 1, one per passage
+   */
+  async score(query, passages) {
+    const passageList = passages
+      .map((passage, index) => `[${index + 1}] ${passage.slice(0, this.maxPassageLength)}`)
+      .join('\n\n');
+
+    const response = await this.getOpenAI().chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade how well lecture transcript passages answer a question. Score every passage from 0 (unrelated) to 10 (directly answers it); 5 means it covers part of the answer. Reply with JSON only: {"scores": [<one number per passage, in order>]}'
+        },
+        {
+          role: 'user',
+          content: `Question: ${query}\n\nPassages:\n${passageList}`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 20 + passages.length * 6,
+      temperature: 0
+    });
+
+    const { scores } = JSON.parse(response.choices[0].message.content);
+    if (!Array.isArray(scores) || scores.length !== passages.length) {
+      throw new Error(`Expected ${passages.length} scores, got ${Array.isArray(scores) ? scores.length : 'none'}`);
+    }
+
+    return scores.map(score => Math.min(Math.max(Number(score) || 0, 0), 10) / 10);
+  }
+}
+
+/**
+ * Scores passages with a cross-encoder served over HTTP, e.g. Hugging Face text-embeddings-inference
+ * running a model such as BAAI/bge-reranker-base (`POST /rerank`)
+ */
+class CrossEncoderScorer {
+  constructor() {
+    this.url = (process.env.RERANKER_URL || 'http://localhost:8080').replace(/\/$/, '');
+    this.timeout = 30000;
+    // Sigmoid relevance; bge rerankers put unrelated passages well below this
+    this.defaultThreshold = 0.2;
+  }
+
+  /**
+   * @param {string} query - Question
+   * @param {Array<string>} passages - Candidate passages
+   * @returns {Promise<Array<number>>} - Relevance between 0 and 1, one per passage
+   */
+  async score(query, passages) {
+    const response = await fetch(`${this.url}/rerank`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: query, texts: passages, raw_scores: false, truncate: true }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cross-encoder responded with ${response.status} ${response.statusText}`);
+    }
+
+    // Results come sorted by score; put them back in passage order
+    const results = await response.json();
+    const scores = new Array(passages.length).fill(0);
+    results.forEach(result => {
+      scores[result.index] = result.score;
+    });
+    return scores;
+  }
+}
+
+class Reranker {
+  constructor() {
+    this.scorers = {
+      llm: new LlmScorer(),
+      'cross-encoder': new CrossEncoderScorer()
+    };
+
+    // 'none' keeps the retrieval order
+    this.provider = process.env.RERANKER || 'llm';
+    // Candidates fetched per chunk that ends up in the prompt
+    this.overfetch = parseInt(process.env.RERANKER_OVERFETCH) || 4;
+    // Every candidate is scored on each question, so the list stays short whatever the overfetch
+    this.maxCandidates = 20;
+
+    const threshold = parseFloat(process.env.RERANKER_MIN_SCORE);
+    this.threshold = threshold >= 0 && threshold <= 1 ? threshold : null;
+  }
+
+  /**
+   * Add or replace a scorer. Scorers implement `score(query, passages)`, resolving to one
+   * relevance between 0 and 1 per passage, and may set a `defaultThreshold`.
+   * @param {string} name - Provider name, selected with RERANKER
+   * @param {Object} scorer - Scorer instance
+   */
+  registerScorer(name, scorer) {
+    this.scorers[name] = scorer;
+  }
+
+  /**
+   * @returns {boolean} - Whether candidates are rescored at all
+   */
+  isEnabled() {
+    return this.provider !== 'none';
+  }
+
+  /**
+   * @param {number} topK - Chunks wanted in the prompt
+   * @returns {number} - Candidates to retrieve for reranking (at most maxCandidates, never fewer than topK)
+   */
+  candidateCount(topK) {
+    return this.isEnabled()
+      ? Math.max(topK, Math.min(topK * this.overfetch, this.maxCandidates))
+      : topK;
+  }
+
+  /**
+   * Rescore retrieved chunks against the question and keep the best ones above the threshold
+   * @param {string} query - Question
+   * @param {Array} candidates - Retrieved chunks ({ text, ... }) in retrieval order
+   * @param {Object} options - { topK }
+   * @returns {Promise<Array>} - Kept chunks with `rerankScore`, best first (may be empty)
+   */
+  async rerank(query, candidates, options = {}) {
+    const { topK = candidates.length } = options;
+
+    if (!this.isEnabled() || candidates.length === 0) {
+      return candidates.slice(0, topK);
+    }
+
+    const scorer = this.scorers[this.provider];
+    if (!scorer) {
+      throw new Error(`Unknown reranker: ${this.provider}`);
+    }
+
+    const threshold = this.threshold ?? scorer.defaultThreshold ?? 0;
+
+    let scores;
+    try {
+      console.log(`⚖️  Reranking ${candidates.length} candidates (${this.provider})`);
+      scores = await scorer.score(query, candidates.map(candidate => candidate.text));
+    } catch (error) {
+      // Retrieval order is still a reasonable answer basis; an outage should not fail the chat
+      console.warn(`⚠️  Reranking failed, keeping retrieval order: ${error.message}`);
+      return candidates.slice(0, topK).map(candidate => ({ ...candidate, rerankScore: null }));
+    }
+
+    const reranked = candidates
+      .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+    const kept = reranked.filter(candidate => candidate.rerankScore >= threshold).slice(0, topK);
+
+    console.log(`✅ Kept ${kept.length}/${candidates.length} candidates (rerank score >= ${threshold})`);
+
+    return kept;
+  }
+}
+
+export default Reranker;
@@ -0,0 +1,382 @@
+import { createClient } from '@supabase/supabase-js';
+import EmbeddingService from './embeddingService.js';
+import PineconeService from './pineconeService.js';
+
+// Delimiters the search function wraps matched words in (see search_transcript_segments)
+const highlightStart = '\u0002';
+const highlightEnd = '\u0003';
+
+class SearchService {
+  constructor(options = {}) {
+    this.supabase = null;
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.pineconeService = options.pineconeService || new PineconeService();
+
+    this.defaultLimit = 50;
+    this.maxLimit = 200;
+    this.maxQueryLength = 200;
+
+    // Library search ranks this many keyword and semantic candidates before fusing them
+    this.candidateLimit = 50;
+    this.minSimilarity = 0.3;
+    // Reciprocal rank fusion constant; higher values flatten the gap between top and lower ranks
+    this.fusionK = 60;
+    this.snippetLength = 200;
+
+    // Most videos a moment search filter (subject, dates) can narrow down to
+    this.maxFilterVideos = 1000;
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Full-text search over one video's transcript segments
+   * @param {string} videoId - Video ID
+   * @param {string} query - Search terms ("quoted phrases", OR and -exclusions are supported)
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { hits: [{ index, start, end, text, snippet, highlights, rank }], total }
+   */
+  async searchTranscript(videoId, query, options = {}) {
+    const { limit = this.defaultLimit, offset = 0 } = options;
+
+    const { data, error } = await this.getSupabase().rpc('search_transcript_segments', {
+      p_video_id: videoId,
+      p_query: query,
+      p_limit: limit,
+      p_offset: offset
+    });
+
+    if (error) {
+      throw new Error(`Transcript search failed: ${error.message}`);
+    }
+
+    return {
+      hits: data.map(row => ({
+        index: row.segment_index,
+        start: row.start_time,
+        end: row.end_time,
+        text: row.text,
+        ...this.parseSnippet(row.snippet),
+        rank: row.rank
+      })),
+      total: data.length > 0 ? Number(data[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Search every lecture for moments matching a query, combining keyword matches in the
+   * transcripts with semantic matches from the vector index
+   * @param {string} query - Search terms
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { moments, semantic } (`semantic` is false when vector search was unavailable)
+   */
+  async searchLibrary(query, options = {}) {
+    const { limit = 20 } = options;
+
+    const [keywordHits, semanticHits] = await Promise.all([
+      this.searchLibraryKeywords(query),
+      this.searchLibrarySemantic(query).catch(error => {
+        // Keyword results are still useful when embeddings or Pinecone are down
+        console.warn('⚠️  Semantic library search unavailable:', error.message);
+        return null;
+      })
+    ]);
+
+    // A keyword hit inside a semantically matched chunk is the same moment found twice
+    const keywordMoments = keywordHits.map(hit => {
+      const chunk = semanticHits?.find(candidate =>
+        candidate.videoId === hit.videoId && hit.start >= candidate.start && hit.start <= candidate.end);
+      return chunk ? { ...hit, key: chunk.key } : hit;
+    });
+
+    const fused = this.fuseRankings([
+      { name: 'keyword', items: keywordMoments },
+      { name: 'semantic', items: semanticHits || [] }
+    ]);
+
+    const videos = await this.loadVideos([...new Set(fused.map(moment => moment.videoId))]);
+
+    const moments = fused
+      .filter(moment => videos.has(moment.videoId))
+      .slice(0, limit)
+      .map(({ key, text, ...moment }) => ({
+        ...moment,
+        videoTitle: videos.get(moment.videoId).title,
+        subject: videos.get(moment.videoId).subject
+      }));
+
+    return { moments: moments, semantic: semanticHits !== null };
+  }
+
+  /**
+   * Rank transcript chunks by semantic similarity to a query, without involving the chat model
+   * @param {string} query - Natural-language query
+   * @param {Object} filters - { videoIds, subject, from, to (upload dates), minScore }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { moments: [{ id, videoId, videoTitle, subject, chunkIndex, start, end, score, text }], hasMore }
+   */
+  async searchMoments(query, filters = {}, options = {}) {
+    const { minScore = this.minSimilarity } = filters;
+    const { limit = 10, offset = 0 } = options;
+
+    const filteredVideos = await this.loadFilteredVideos(filters);
+    if (filteredVideos && filteredVideos.size === 0) {
+      return { moments: [], hasMore: false };
+    }
+
+    const queryEmbedding = await this.embeddingService.generateQueryEmbedding(query);
+
+    // Pinecone has no offset, so fetch through the requested page plus one to tell if more follow
+    const results = await this.pineconeService.searchSimilar(queryEmbedding, {
+      topK: offset + limit + 1,
+      minScore: minScore,
+      videoIds: filteredVideos ? [...filteredVideos.keys()] : null
+    });
+
+    // Vectors can outlive their video; drop matches whose video was deleted
+    const videos = filteredVideos
+      || await this.loadVideos([...new Set(results.map(result => result.metadata.videoId))]);
+    const matches = results.filter(result => videos.has(result.metadata.videoId));
+
+    const moments = matches.slice(offset, offset + limit).map(result => {
+      const video = videos.get(result.metadata.videoId);
+      return {
+        id: result.id,
+        videoId: result.metadata.videoId,
+        videoTitle: video.title,
+        subject: video.subject,
+        chunkIndex: result.metadata.chunkIndex,
+        start: result.metadata.startTime || 0,
+        end: result.metadata.endTime || 0,
+        score: result.score,
+        text: result.metadata.text
+      };
+    });
+
+    return { moments: moments, hasMore: matches.length > offset + limit };
+  }
+
+  /**
+   * Resolve video, subject and upload date filters to the ready videos they cover
+   * @param {Object} filters - { videoIds, subject, from, to }
+   * @returns {Promise<Map|null>} - Video ID → video, or null when nothing is filtered
+   */
+  async loadFilteredVideos(filters) {
+    const { videoIds = null, subject = null, from = null, to = null } = filters;
+
+    if (!videoIds?.length && !subject && !from && !to) {
+      return null;
+    }
+
+    let query = this.getSupabase()
+      .from('videos')
+      .select('id, title, subject, created_at')
+      .eq('status', 'ready')
+      .limit(this.maxFilterVideos);
+
+    if (videoIds?.length) {
+      query = query.in('id', videoIds);
+    }
+    if (subject) {
+      query = query.eq('subject', subject);
+    }
+    if (from) {
+      query = query.gte('created_at', from.toISOString());
+    }
+    if (to) {
+      query = query.lte('created_at', to.toISOString());
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Video lookup failed: ${error.message}`);
+    }
+
+    return new Map(data.map(video => [video.id, video]));
+  }
+
+  /**
+   * @param {string} query - Search terms
+   * @returns {Promise<Array>} - Keyword-matched segments across all videos, best first
+   */
+  async searchLibraryKeywords(query) {
+    const { data, error } = await this.getSupabase().rpc('search_transcript_library', {
+      p_query: query,
+      p_limit: this.candidateLimit,
+      p_offset: 0
+    });
+
+    if (error) {
+      throw new Error(`Library search failed: ${error.message}`);
+    }
+
+    return data.map(row => ({
+      key: `segment:${row.video_id}:${row.segment_index}`,
+      videoId: row.video_id,
+      start: row.start_time,
+      end: row.end_time,
+      text: row.text,
+      ...this.parseSnippet(row.snippet)
+    }));
+  }
+
+  /**
+   * @param {string} query - Search terms
+   * @returns {Promise<Array>} - Semantically similar chunks across all videos, best first
+   */
+  async searchLibrarySemantic(query) {
+    const queryEmbedding = await this.embeddingService.generateQueryEmbedding(query);
+    const results = await this.pineconeService.searchSimilar(queryEmbedding, {
+      topK: this.candidateLimit,
+      minScore: this.minSimilarity
+    });
+
+    return results.map(result => ({
+      key: `chunk:${result.id}`,
+      videoId: result.metadata.videoId,
+      start: result.metadata.startTime || 0,
+      end: result.metadata.endTime || 0,
+      text: result.metadata.text,
+      snippet: this.truncate(result.metadata.text),
+      highlights: [],
+      similarity: result.score
+    }));
+  }
+
+  /**
+   * Merge ranked result lists with reciprocal rank fusion. Items sharing a `key` are combined;
+   * fields from earlier lists win over later ones.
+   * @param {Array} lists - [{ name, items: [{ key, ... }], weight }] with items best first
+   * @returns {Array} - Items with `matchTypes` (names of the lists they appeared in) and fused `score`, best first
+   */
+  fuseRankings(lists) {
+    const fused = new Map();
+
+    for (const { name, items, weight = 1 } of lists) {
+      const seen = new Set();
+
+      items.forEach((item, index) => {
+        // Only an item's best rank in each list counts
+        if (seen.has(item.key)) return;
+        seen.add(item.key);
+
+        const existing = fused.get(item.key);
+        const entry = existing
+          ? { ...item, ...existing }
+          : { ...item, matchTypes: [], score: 0 };
+
+        entry.matchTypes = [...entry.matchTypes, name];
+        entry.score += weight / (this.fusionK + index + 1);
+        fused.set(item.key, entry);
+      });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @param {Array} videoIds - Video IDs
+   * @returns {Promise<Map>} - Video ID → { title, subject } for the videos that still exist
+   */
+  async loadVideos(videoIds) {
+    if (videoIds.length === 0) {
+      return new Map();
+    }
+
+    const { data, error } = await this.getSupabase()
+      .from('videos')
+      .select('id, title, subject')
+      .in('id', videoIds);
+
+    if (error) {
+      throw new Error(`Video lookup failed: ${error.message}`);
+    }
+
+    return new Map(data.map(video => [video.id, video]));
+  }
+
+  /**
+   * @param {string} text - Chunk text
+   * @returns {string} - Text cut at a word boundary near the snippet length
+   */
+  truncate(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.length <= this.snippetLength) {
+      return trimmed;
+    }
+
+    const cut = trimmed.slice(0, this.snippetLength);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)} …`;
+  }
+
+  /**
+   * Check and tidy a search query
+   * @param {string} query - Raw query
+   * @returns {string} - Trimmed query
+   */
+  validateQuery(query) {
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+
+    if (!trimmed) {
+      throw this.createError('INVALID_QUERY', 'A search query is required');
+    }
+    if (trimmed.length > this.maxQueryLength) {
+      throw this.createError('INVALID_QUERY', `Search queries are limited to ${this.maxQueryLength} characters`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Split a delimited snippet into plain text and highlighted character ranges
+   * @param {string} snippet - Snippet with matches wrapped in the highlight delimiters
+   * @returns {Object} - { snippet, highlights: [[start, end]] }
+   */
+  parseSnippet(snippet) {
+    const highlights = [];
+    let text = '';
+    let matchStart = null;
+
+    for (const char of snippet || '') {
+      if (char === highlightStart) {
+        matchStart = text.length;
+      } else if (char === highlightEnd) {
+        if (matchStart !== null) {
+          highlights.push([matchStart, text.length]);
+        }
+        matchStart = null;
+      } else {
+        text += char;
+      }
+    }
+
+    return { snippet: text, highlights: highlights };
+  }
+
+  /**
+   * Create a search error the routes report as a bad request
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} - Error with `code`
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export default SearchService;
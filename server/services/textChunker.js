@@ -4,6 +4,8 @@ class TextChunker {
   constructor() {
     this.defaultChunkSize = 1000;
     this.defaultOverlap = 200;
+    this.defaultOverlapSegments = 2;
+    this.defaultMode = process.env.CHUNKING_MODE || 'segments';
     this.separators = ['\n\n', '\n', '. ', '! ', '? ', '; ', ': ', ', ', ' ', ''];
   }
 
@@ -11,10 +13,21 @@ class TextChunker {
    * Split text into semantic chunks with timestamps
    * @param {string} text - Full transcription text
    * @param {Array} segments - Array of segments with timestamps
-   * @param {Object} options - Chunking options
+   * @param {Object} options - Chunking options ({ mode: 'segments' | 'text', chunkSize, overlap, overlapSegments })
    * @returns {Promise<Array>} - Array of text chunks with metadata
    */
   async chunkText(text, segments = [], options = {}) {
+    const mode = options.mode || this.defaultMode;
+    
+    // Build chunks from whole segments when we have them, so timestamps are exact
+    if (mode === 'segments' && segments && segments.length > 0) {
+      return this.chunkSegments(segments, options);
+    }
+    
+    if (mode === 'segments') {
+      console.log('⚠️  No segments available, falling back to text chunking');
+    }
+    
     try {
       console.log(`📝 Starting text chunking...`);
       console.log(`📊 Input text length: ${text.length} characters`);
@@ -62,6 +75,77 @@ class TextChunker {
     }
   }
 
+  /**
+   * Group whole transcription segments into chunks of roughly chunkSize characters,
+   * repeating the last overlapSegments segments at the start of the next chunk
+   * @param {Array} segments - Array of segments with timestamps
+   * @param {Object} options - Chunking options ({ chunkSize, overlapSegments })
+   * @returns {Array} - Array of text chunks with metadata
+   */
+  chunkSegments(segments, options = {}) {
+    try {
+      const chunkSize = options.chunkSize || this.defaultChunkSize;
+      const overlapSegments = options.overlapSegments ?? this.defaultOverlapSegments;
+      
+      const usable = segments
+        .map((segment, index) => ({ ...segment, index, text: (segment.text || '').trim() }))
+        .filter(segment => segment.text.length > 0);
+      
+      console.log(`📝 Starting segment-aligned chunking...`);
+      console.log(`📊 Input segments: ${usable.length}`);
+      console.log(`🎯 Target chunk size: ${chunkSize} characters, overlap: ${overlapSegments} segments`);
+      
+      const groups = [];
+      let start = 0;
+      
+      while (start < usable.length) {
+        let end = start;
+        let length = usable[start].text.length;
+        
+        // Always take at least one segment, then add while the chunk stays within size
+        while (end + 1 < usable.length && length + 1 + usable[end + 1].text.length <= chunkSize) {
+          end++;
+          length += 1 + usable[end].text.length;
+        }
+        
+        const group = usable.slice(start, end + 1);
+        groups.push(group);
+        
+        if (end + 1 >= usable.length) break;
+        
+        // Step back for overlap, but keep at least half of every chunk new (and always move forward)
+        const overlap = Math.min(overlapSegments, Math.floor(group.length / 2));
+        start = Math.max(end + 1 - overlap, start + 1);
+      }
+      
+      const chunksWithMetadata = groups.map((group, index) => {
+        const text = group.map(segment => segment.text).join(' ');
+        const totalConfidence = group.reduce((sum, segment) => sum + (segment.confidence || 0), 0);
+        
+        return {
+          index: index,
+          text: text,
+          length: text.length,
+          wordCount: this.countWords(text),
+          startTime: group[0].start,
+          endTime: group[group.length - 1].end,
+          confidence: totalConfidence / group.length,
+          segmentStart: group[0].index,
+          segmentEnd: group[group.length - 1].index
+        };
+      });
+      
+      console.log(`✂️  Created ${chunksWithMetadata.length} segment-aligned chunks`);
+      this.logChunkingStats(chunksWithMetadata);
+      
+      return chunksWithMetadata;
+      
+    } catch (error) {
+      console.error('❌ Segment chunking error:', error.message);
+      throw new Error(`Segment chunking failed: ${error.message}`);
+    }
+  }
+
   /**
    * Map text chunk to corresponding timestamps from segments
    * @param {string} chunk - Text chunk
@@ -243,13 +327,13 @@ class TextChunker {
    */
   getOptimalParameters(textLength) {
     if (textLength < 2000) {
-      return { chunkSize: 500, overlap: 100 };
+      return { chunkSize: 500, overlap: 100, overlapSegments: 1 };
     } else if (textLength < 10000) {
-      return { chunkSize: 1000, overlap: 200 };
+      return { chunkSize: 1000, overlap: 200, overlapSegments: 2 };
     } else if (textLength < 50000) {
-      return { chunkSize: 1500, overlap: 300 };
+      return { chunkSize: 1500, overlap: 300, overlapSegments: 2 };
     } else {
-      return { chunkSize: 2000, overlap: 400 };
+      return { chunkSize: 2000, overlap: 400, overlapSegments: 3 };
     }
   }
 }
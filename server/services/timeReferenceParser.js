@@ -0,0 +1,156 @@
+const numberWords = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  couple: 2, 'a couple': 2, 'a couple of': 2, 'couple of': 2, few: 3, 'a few': 3
+};
+
+const unitSeconds = {
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  min: 60, mins: 60, minute: 60, minutes: 60,
+  hour: 3600, hours: 3600
+};
+
+const amountPattern = '(\\d+(?:\\.\\d+)?|a couple(?: of)?|couple of|a few|few|(?:twenty|thirty|forty|fifty)-(?:one|two|three|four|five|six|seven|eight|nine)|[a-z]+)';
+const unitPattern = '(seconds?|secs?|minutes?|mins?|hours?)';
+const clockPattern = '(?:(\\d{1,2}):)?(\\d{1,2}):(\\d{2})\\b';
+
+class TimeReferenceParser {
+  constructor() {
+    // Window read around an absolute moment: a little before, more after (the answer usually follows)
+    this.secondsBefore = 30;
+    this.secondsAfter = 60;
+    // "What did she just say?"
+    this.recentSeconds = 30;
+    // Relative windows longer than this are cut, so the transcript fits in the prompt
+    this.maxWindowSeconds = 15 * 60;
+
+    this.relativeRegex = new RegExp(`\\b(?:last|past|previous|preceding)\\s+(?:${amountPattern}\\s+)?${unitPattern}\\b`, 'i');
+    this.justSaidRegex = /\bjust\s+(?:said|say|says|mentioned|explained|talked about|now)\b/i;
+    // A bare "3:45" is as likely a ratio or a score, so clock times need a cue: "at 42:10", "around 1:02:30", "the 42:10 mark"
+    this.cuedClockRegex = new RegExp(`(?:\\b(?:at|around|near|timestamp|minute)|@)\\s*(?:the\\s+)?${clockPattern}`, 'i');
+    this.markedClockRegex = new RegExp(`\\b${clockPattern}(?=\\s+mark\\b)`, 'i');
+    this.minuteRegex = /\b(?:minute\s+(\d{1,3})|(\d{1,3})\s+(?:minutes?|mins?)\s+in(?:to)?)\b/i;
+  }
+
+  /**
+   * Find a reference to a moment of the lecture in a question
+   * @param {string} message - User question
+   * @param {Object} options - { playerTime } current player position in seconds, needed for relative references
+   * @returns {Object|null} - { kind: 'absolute' | 'relative', time, start, end } in seconds, or null
+   */
+  parse(message, options = {}) {
+    const { playerTime = null } = options;
+
+    const absolute = this.parseAbsolute(message);
+    if (absolute !== null) {
+      return {
+        kind: 'absolute',
+        time: absolute,
+        start: Math.max(0, absolute - this.secondsBefore),
+        end: absolute + this.secondsAfter
+      };
+    }
+
+    if (playerTime === null) {
+      return null;
+    }
+
+    const span = this.parseRelative(message);
+    if (span === null) {
+      return null;
+    }
+
+    const length = Math.min(span, this.maxWindowSeconds);
+    return {
+      kind: 'relative',
+      time: playerTime,
+      start: Math.max(0, playerTime - length),
+      end: playerTime
+    };
+  }
+
+  /**
+   * Keep a reference within the lecture
+   * @param {Object} reference - Reference from parse()
+   * @param {number} duration - Lecture length in seconds
+   * @returns {Object|null} - The reference with its window cut at the end of the lecture,
+   *   or null when it points past the end (so the question is answered by search instead)
+   */
+  fitToDuration(reference, duration) {
+    // The player can sit past the last words (silence, credits); a relative window then still reaches back into speech
+    if ((reference.kind === 'absolute' && reference.time > duration) || reference.start >= duration) {
+      return null;
+    }
+
+    return { ...reference, end: Math.min(reference.end, duration) };
+  }
+
+  /**
+   * @param {string} message - User question
+   * @returns {number|null} - Seconds for "at 42:10", "around 1:02:30", "minute 42" or "42 minutes in"
+   */
+  parseAbsolute(message) {
+    const clock = message.match(this.cuedClockRegex) || message.match(this.markedClockRegex);
+    if (clock) {
+      const [, hours = '0', minutes, seconds] = clock;
+      if (parseInt(seconds) < 60 && (!clock[1] || parseInt(minutes) < 60)) {
+        return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds);
+      }
+    }
+
+    const minute = message.match(this.minuteRegex);
+    if (minute) {
+      return parseInt(minute[1] || minute[2]) * 60;
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} message - User question
+   * @returns {number|null} - Length in seconds of "the last five minutes", "past 30 seconds", "what she just said"
+   */
+  parseRelative(message) {
+    const relative = message.match(this.relativeRegex);
+    if (relative) {
+      const amount = this.parseAmount(relative[1]);
+      if (amount !== null) {
+        return amount * unitSeconds[relative[2].toLowerCase()];
+      }
+    }
+
+    if (this.justSaidRegex.test(message)) {
+      return this.recentSeconds;
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string|undefined} text - "5", "five", "twenty-five", "a couple of"; missing means one ("the last minute")
+   * @returns {number|null} - Amount, or null when the word is not a number
+   */
+  parseAmount(text) {
+    if (!text) {
+      return 1;
+    }
+
+    const normalized = text.toLowerCase();
+    if (/^\d/.test(normalized)) {
+      return parseFloat(normalized);
+    }
+    if (numberWords[normalized] !== undefined) {
+      return numberWords[normalized];
+    }
+
+    const [tens, ones] = normalized.split('-');
+    if (numberWords[tens] !== undefined && numberWords[ones] !== undefined) {
+      return numberWords[tens] + numberWords[ones];
+    }
+
+    return null;
+  }
+}
+
+export default TimeReferenceParser;
@@ -0,0 +1,165 @@
+class TranscriptExporter {
+  constructor() {
+    this.formats = {
+      srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+      vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+      txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+      md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+    };
+  }
+
+  /**
+   * Render a transcript in an export format
+   * @param {string} format - srt, vtt, txt or md
+   * @param {Object} transcript - { title, language, segments: [{ start, end, text }], chapters: [{ start, title }] }
+   * @returns {string} - File content
+   */
+  render(format, transcript) {
+    switch (format) {
+      case 'srt':
+        return this.toSrt(transcript.segments);
+      case 'vtt':
+        return this.toVtt(transcript.segments, transcript.language);
+      case 'txt':
+        return this.toText(transcript);
+      case 'md':
+        return this.toMarkdown(transcript);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * @param {Array} segments - Timed segments
+   * @returns {string} - SubRip captions
+   */
+  toSrt(segments) {
+    return segments
+      .map((segment, index) => [
+        index + 1,
+        `${this.formatTimestamp(segment.start, ',')} --> ${this.formatTimestamp(segment.end, ',')}`,
+        // A blank line inside cue text would end the cue early
+        segment.text.trim().replace(/\n{2,}/g, '\n')
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * @param {Array} segments - Timed segments
+   * @param {string} language - Transcript language (written as a header)
+   * @returns {string} - WebVTT captions
+   */
+  toVtt(segments, language = null) {
+    const header = language ? `WEBVTT\nLanguage: ${language}` : 'WEBVTT';
+    const cues = segments.map(segment => [
+      `${this.formatTimestamp(segment.start, '.')} --> ${this.formatTimestamp(segment.end, '.')}`,
+      // A blank line or "-->" inside cue text would end or break the cue
+      segment.text.trim().replace(/\n+/g, ' ').replace(/-->/g, '->')
+    ].join('\n'));
+
+    return [header, ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * @param {Object} transcript - Transcript with title and segments
+   * @returns {string} - One "[MM:SS] text" line per segment
+   */
+  toText(transcript) {
+    const lines = transcript.segments.map(segment =>
+      `[${this.formatClock(segment.start)}] ${segment.text.trim()}`);
+
+    return [transcript.title, '', ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Markdown with a heading per chapter (none without chapter markers) and one timestamped paragraph per segment
+   * @param {Object} transcript - Transcript with title, segments and optional chapters
+   * @returns {string} - Markdown document
+   */
+  toMarkdown(transcript) {
+    const chapters = transcript.chapters || [];
+    const lines = [`# ${transcript.title}`, ''];
+    let chapterIndex = -1;
+
+    for (const segment of transcript.segments) {
+      // Emit every chapter that starts at or before this segment
+      while (chapterIndex + 1 < chapters.length && chapters[chapterIndex + 1].start <= segment.start) {
+        chapterIndex++;
+        const chapter = chapters[chapterIndex];
+        lines.push(`## ${chapter.title} (${this.formatClock(chapter.start)})`, '');
+      }
+
+      lines.push(`**[${this.formatClock(segment.start)}]** ${this.escapeMarkdown(segment.text.trim())}`, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a Content-Disposition header from the video title, with an ASCII fallback for old clients
+   * @param {string} title - Video title
+   * @param {string} format - Export format
+   * @returns {string} - Header value
+   */
+  contentDisposition(title, format) {
+    const extension = this.formats[format].extension;
+    const baseName = (title || 'transcript').trim().replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ').replace(/\s+/g, ' ').trim() || 'transcript';
+    const fileName = `${baseName}.${extension}`;
+    const asciiName = fileName.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/"/g, '').replace(/\s+/g, ' ') || `transcript.${extension}`;
+    const encodedName = encodeURIComponent(fileName).replace(/['()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+  }
+
+  /**
+   * @param {number} seconds - Time in seconds
+   * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+   * @returns {string} - HH:MM:SS,mmm timestamp
+   */
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - MM:SS, or H:MM:SS past the first hour
+   */
+  formatClock(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+  }
+
+  /**
+   * @param {string} language - Language code (e.g. "en", "pt-BR")
+   * @returns {string} - Display name for caption menus, or the code itself when unknown
+   */
+  languageLabel(language) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch {
+      return language;
+    }
+  }
+
+  /**
+   * Escape characters that would turn transcript text into Markdown markup
+   * @param {string} text - Plain text
+   * @returns {string} - Markdown-safe text
+   */
+  escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+  }
+}
+
+export default TranscriptExporter;
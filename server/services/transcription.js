@@ -4,9 +4,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import FormData from 'form-data';
 import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
 import ffprobeStatic from 'ffprobe-static';
 
-// Set ffprobe path
+// Set ffmpeg and ffprobe paths
+ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +18,12 @@ class TranscriptionService {
   constructor() {
     this.openai = null;
     this.maxFileSize = 25 * 1024 * 1024; // 25MB limit for Whisper API
+    this.tempDir = path.join(__dirname, '../temp');
+    this.maxPieceDuration = 600; // Upper bound per piece (seconds), even when it would fit in 25MB
+    this.minPieceRatio = 0.5; // Don't cut on a silence earlier than half the target length
+    this.silenceNoise = '-30dB'; // Volume below which audio counts as silence
+    this.silenceMinDuration = 0.5; // Minimum pause length (seconds) to split on
+    this.concurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 3;
   }
 
   /**
@@ -35,10 +43,12 @@ class TranscriptionService {
    * Transcribe audio file using OpenAI Whisper
    * @param {string} audioPath - Path to audio file
    * @param {string} videoId - Video ID for logging
-   * @param {Object} options - Transcription options
+   * @param {Object} options - Transcription options, plus { onProgress } called with (piecesDone, totalPieces)
    * @returns {Promise<Object>} - Transcription result with text and timestamps
    */
   async transcribeAudio(audioPath, videoId, options = {}) {
+    const { onProgress = null, ...whisperOptions } = options;
+    
     try {
       console.log(`🎤 Starting transcription for video ${videoId}`);
       console.log(`📁 Audio file: ${audioPath}`);
@@ -54,11 +64,13 @@ class TranscriptionService {
 
       if (stats.size > this.maxFileSize) {
         console.log(`⚠️  File too large for single request, splitting...`);
-        return await this.transcribeLargeFile(audioPath, videoId, options);
+        return await this.transcribeLargeFile(audioPath, videoId, whisperOptions, onProgress);
       }
 
       // Perform transcription
-      const transcription = await this.performTranscription(audioPath, options);
+      onProgress?.(0, 1);
+      const transcription = await this.performTranscription(audioPath, whisperOptions);
+      onProgress?.(1, 1);
       
       console.log(`✅ Transcription completed for video ${videoId}`);
       console.log(`📝 Transcribed ${transcription.text.length} characters`);
@@ -120,24 +132,293 @@ class TranscriptionService {
   }
 
   /**
-   * Handle large files by splitting them (placeholder for future implementation)
+   * Handle files over the Whisper size limit by splitting them on silences,
+   * transcribing the pieces in parallel and merging the results
    * @param {string} audioPath - Path to large audio file
    * @param {string} videoId - Video ID
    * @param {Object} options - Transcription options
+   * @param {Function} onProgress - Called with (piecesDone, totalPieces) (optional)
    * @returns {Promise<Object>} - Combined transcription result
    */
-  async transcribeLargeFile(audioPath, videoId, options = {}) {
-    // For now, we'll try to transcribe as-is and let the API handle it
-    // In the future, we could implement audio splitting here
-    console.log(`⚠️  Large file detected, attempting direct transcription...`);
+  async transcribeLargeFile(audioPath, videoId, options = {}, onProgress = null) {
+    const pieces = [];
     
     try {
-      return await this.performTranscription(audioPath, options);
+      const duration = await this.getDuration(audioPath);
+      const { size } = fs.statSync(audioPath);
+      
+      // Keep a 10% margin under the API limit
+      const bytesPerSecond = size / duration;
+      const targetDuration = Math.min(
+        this.maxPieceDuration,
+        Math.floor((this.maxFileSize * 0.9) / bytesPerSecond)
+      );
+      
+      console.log(`✂️  Splitting ${Math.round(duration)}s of audio into pieces of up to ${targetDuration}s...`);
+      
+      const silences = await this.detectSilences(audioPath);
+      console.log(`🔇 Found ${silences.length} silences to split on`);
+      
+      const ranges = this.computeSplitPoints(duration, silences, targetDuration);
+      // Pieces are recorded as they are written, so a failed split still gets cleaned up
+      await this.splitAudio(audioPath, videoId, ranges, pieces);
+      
+      console.log(`📦 Transcribing ${pieces.length} pieces (concurrency: ${this.concurrency})...`);
+      
+      let piecesDone = 0;
+      onProgress?.(0, pieces.length);
+      
+      const results = await this.mapWithConcurrency(pieces, this.concurrency, async (piece, index) => {
+        console.log(`🔄 Transcribing piece ${index + 1}/${pieces.length} (${this.formatSeconds(piece.start)} - ${this.formatSeconds(piece.end)})`);
+        const transcription = await this.performTranscription(piece.path, options);
+        console.log(`✅ Piece ${index + 1}/${pieces.length} transcribed`);
+        onProgress?.(++piecesDone, pieces.length);
+        return { ...piece, transcription };
+      });
+      
+      const merged = this.mergeTranscriptions(results);
+      
+      console.log(`✅ Transcription completed for video ${videoId} (${pieces.length} pieces)`);
+      console.log(`📝 Transcribed ${merged.text.length} characters`);
+      
+      return {
+        ...merged,
+        duration: merged.duration || duration,
+        wordCount: this.countWords(merged.text)
+      };
+      
     } catch (error) {
-      throw new Error(`Large file transcription failed: ${error.message}. Consider splitting the audio file.`);
+      throw new Error(`Large file transcription failed: ${error.message}`);
+    } finally {
+      for (const piece of pieces) {
+        try {
+          if (fs.existsSync(piece.path)) {
+            fs.unlinkSync(piece.path);
+          }
+        } catch (cleanupError) {
+          console.warn('Piece cleanup warning:', cleanupError.message);
+        }
+      }
     }
   }
 
+  /**
+   * Detect silent stretches with ffmpeg's silencedetect filter
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Array>} - Array of { start, end } in seconds
+   */
+  async detectSilences(audioPath) {
+    return new Promise((resolve, reject) => {
+      const lines = [];
+      
+      ffmpeg(audioPath)
+        .audioFilters(`silencedetect=noise=${this.silenceNoise}:d=${this.silenceMinDuration}`)
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => lines.push(line))
+        .on('end', () => resolve(this.parseSilenceLog(lines)))
+        .on('error', (err) => reject(new Error(`Silence detection failed: ${err.message}`)))
+        .run();
+    });
+  }
+
+  /**
+   * Parse silencedetect output lines into silence ranges
+   * @param {Array} lines - ffmpeg stderr lines
+   * @returns {Array} - Array of { start, end } in seconds
+   */
+  parseSilenceLog(lines) {
+    const silences = [];
+    let currentStart = null;
+    
+    for (const line of lines) {
+      const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+      const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+      
+      if (startMatch) {
+        currentStart = Math.max(0, parseFloat(startMatch[1]));
+      } else if (endMatch && currentStart !== null) {
+        silences.push({ start: currentStart, end: parseFloat(endMatch[1]) });
+        currentStart = null;
+      }
+    }
+    
+    return silences;
+  }
+
+  /**
+   * Choose piece boundaries, preferring the middle of the latest silence
+   * before each target length and cutting hard when there is none
+   * @param {number} duration - Total duration in seconds
+   * @param {Array} silences - Silence ranges
+   * @param {number} targetDuration - Maximum piece duration in seconds
+   * @returns {Array} - Array of { start, end } in seconds
+   */
+  computeSplitPoints(duration, silences, targetDuration) {
+    const ranges = [];
+    let cursor = 0;
+    
+    while (duration - cursor > targetDuration) {
+      const latest = cursor + targetDuration;
+      const earliest = cursor + targetDuration * this.minPieceRatio;
+      
+      const candidates = silences
+        .map(silence => (silence.start + silence.end) / 2)
+        .filter(point => point >= earliest && point <= latest);
+      
+      const splitPoint = candidates.length > 0 ? candidates[candidates.length - 1] : latest;
+      
+      ranges.push({ start: cursor, end: splitPoint });
+      cursor = splitPoint;
+    }
+    
+    ranges.push({ start: cursor, end: duration });
+    
+    return ranges;
+  }
+
+  /**
+   * Cut audio into pieces with ffmpeg
+   * @param {string} audioPath - Path to audio file
+   * @param {string} videoId - Video ID (used in piece file names)
+   * @param {Array} ranges - Array of { start, end } in seconds
+   * @param {Array} pieces - Receives each { path, start, end } before its file is written (optional)
+   * @returns {Promise<Array>} - Array of { path, start, end }
+   */
+  async splitAudio(audioPath, videoId, ranges, pieces = []) {
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
+    }
+    
+    for (let i = 0; i < ranges.length; i++) {
+      const { start, end } = ranges[i];
+      const piecePath = path.join(this.tempDir, `${videoId}_piece_${i}.wav`);
+      pieces.push({ path: piecePath, start, end });
+      
+      await new Promise((resolve, reject) => {
+        ffmpeg(audioPath)
+          .setStartTime(start)
+          .duration(end - start)
+          .audioCodec('pcm_s16le')
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .format('wav')
+          .output(piecePath)
+          .on('end', resolve)
+          .on('error', (err) => reject(new Error(`Audio split failed: ${err.message}`)))
+          .run();
+      });
+    }
+    
+    return pieces;
+  }
+
+  /**
+   * Merge piece transcriptions, shifting segment times by each piece's offset
+   * @param {Array} results - Array of { start, end, transcription } in piece order
+   * @returns {Object} - Combined { text, segments, language, duration }
+   */
+  mergeTranscriptions(results) {
+    const texts = [];
+    const segments = [];
+    
+    for (const result of results) {
+      const text = (result.transcription.text || '').trim();
+      if (text) {
+        texts.push(text);
+      }
+      
+      for (const segment of this.parseSegments(result.transcription)) {
+        segments.push({
+          ...segment,
+          id: segments.length,
+          start: segment.start + result.start,
+          end: segment.end + result.start
+        });
+      }
+    }
+    
+    const last = results[results.length - 1];
+    
+    return {
+      text: texts.join(' '),
+      segments,
+      language: results.find(result => result.transcription.language)?.transcription.language || 'en',
+      duration: last ? last.start + (last.transcription.duration || last.end - last.start) : 0
+    };
+  }
+
+  /**
+   * Map over items with at most `limit` promises in flight, keeping order.
+   * After a failure no new items are started, and the call only rejects once
+   * the items already in flight have settled
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrency
+   * @param {Function} fn - Async mapper (item, index)
+   * @returns {Promise<Array>} - Results in input order
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    
+    const worker = async () => {
+      while (!failed && next < items.length) {
+        const index = next++;
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    
+    const outcomes = await Promise.allSettled(Array.from({ length: Math.min(limit, items.length) }, worker));
+    
+    const rejection = outcomes.find(outcome => outcome.status === 'rejected');
+    if (rejection) {
+      throw rejection.reason;
+    }
+    
+    return results;
+  }
+
+  /**
+   * Get audio duration using ffprobe
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<number>} - Duration in seconds
+   */
+  async getDuration(audioPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(audioPath, (err, metadata) => {
+        if (err) {
+          reject(new Error(`Failed to get audio duration: ${err.message}`));
+          return;
+        }
+        
+        const duration = parseFloat(metadata.format.duration) || 0;
+        if (duration <= 0) {
+          reject(new Error('Could not determine audio duration'));
+          return;
+        }
+        
+        resolve(duration);
+      });
+    });
+  }
+
+  /**
+   * Format seconds as MM:SS for logging
+   * @param {number} seconds - Seconds
+   * @returns {string} - Formatted time
+   */
+  formatSeconds(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
   /**
    * Parse segments from transcription response
    * @param {Object} transcription - Raw transcription response
@@ -0,0 +1,359 @@
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+
+class UploadSessionService {
+  constructor() {
+    this.supabase = null;
+
+    this.sessionsDir = path.join('uploads', 'sessions');
+    this.defaultChunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+    this.minChunkSize = 1024 * 1024; // 1MB
+    this.maxChunkSize = 64 * 1024 * 1024; // 64MB
+    this.sessionTtl = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get Supabase client instance (lazy initialization)
+   * @returns {SupabaseClient} - Supabase client
+   */
+  getSupabase() {
+    if (!this.supabase) {
+      this.supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+    }
+    return this.supabase;
+  }
+
+  /**
+   * Start an upload session
+   * @param {Object} file - { fileName, fileSize, mimeType, chunkSize }
+   * @param {Object} metadata - Video details (title, subject, description)
+   * @returns {Promise<Object>} - Session record
+   */
+  async createSession(file, metadata) {
+    const chunkSize = Math.min(
+      Math.max(parseInt(file.chunkSize) || this.defaultChunkSize, this.minChunkSize),
+      this.maxChunkSize
+    );
+
+    const { data, error } = await this.getSupabase()
+      .from('upload_sessions')
+      .insert({
+        file_name: file.fileName,
+        file_size: file.fileSize,
+        mime_type: file.mimeType,
+        chunk_size: chunkSize,
+        total_parts: Math.ceil(file.fileSize / chunkSize),
+        metadata: metadata,
+        status: 'uploading',
+        expires_at: new Date(Date.now() + this.sessionTtl).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Upload session creation failed: ${error.message}`);
+    }
+
+    await fs.promises.mkdir(this.getSessionDir(data.id), { recursive: true });
+
+    console.log(`📦 Upload session ${data.id} started: ${file.fileName} (${data.total_parts} parts of ${(chunkSize / 1024 / 1024).toFixed(1)} MB)`);
+
+    return data;
+  }
+
+  /**
+   * Get a session with the parts received so far
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object|null>} - Session record with `parts` ({ part_number, size, checksum }), or null
+   */
+  async getSession(uploadId) {
+    const { data: session, error } = await this.getSupabase()
+      .from('upload_sessions')
+      .select('*')
+      .eq('id', uploadId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Upload session lookup failed: ${error.message}`);
+    }
+
+    if (!session) {
+      return null;
+    }
+
+    const { data: parts, error: partsError } = await this.getSupabase()
+      .from('upload_parts')
+      .select('part_number, size, checksum')
+      .eq('session_id', uploadId)
+      .order('part_number', { ascending: true });
+
+    if (partsError) {
+      throw new Error(`Upload parts lookup failed: ${partsError.message}`);
+    }
+
+    return { ...session, parts };
+  }
+
+  /**
+   * Expected byte size of a part (every part is chunk_size except the last)
+   * @param {Object} session - Session record
+   * @param {number} partNumber - Part number (1-based)
+   * @returns {number} - Part size in bytes
+   */
+  getPartSize(session, partNumber) {
+    if (partNumber < session.total_parts) {
+      return session.chunk_size;
+    }
+    return session.file_size - session.chunk_size * (session.total_parts - 1);
+  }
+
+  /**
+   * Stream one part to disk, verifying its size and SHA-256 checksum before recording it
+   * @param {Object} session - Session record
+   * @param {number} partNumber - Part number (1-based)
+   * @param {ReadableStream} input - Request body
+   * @param {string} checksum - Expected SHA-256 of the part (hex)
+   * @returns {Promise<Object>} - Recorded part ({ part_number, size, checksum })
+   */
+  async writePart(session, partNumber, input, checksum) {
+    const expectedSize = this.getPartSize(session, partNumber);
+    const partPath = this.getPartPath(session.id, partNumber);
+    const tempPath = `${partPath}.${crypto.randomUUID()}.tmp`;
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+
+    // Hash and count bytes on the way to disk; a part is never held in memory
+    const verifier = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (received > expectedSize) {
+          return callback(this.createError('PART_INVALID', `Part ${partNumber} is larger than ${expectedSize} bytes`));
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(input, verifier, fs.createWriteStream(tempPath));
+
+      if (received !== expectedSize) {
+        throw this.createError('PART_INVALID', `Part ${partNumber} has ${received} bytes, expected ${expectedSize}`);
+      }
+
+      const digest = hash.digest('hex');
+      if (digest !== checksum.toLowerCase()) {
+        throw this.createError('CHECKSUM_MISMATCH', `Checksum mismatch for part ${partNumber}`);
+      }
+
+      await fs.promises.rename(tempPath, partPath);
+
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    // Re-sent parts simply replace the earlier copy
+    const { data, error } = await this.getSupabase()
+      .from('upload_parts')
+      .upsert({
+        session_id: session.id,
+        part_number: partNumber,
+        size: received,
+        checksum: checksum.toLowerCase()
+      })
+      .select('part_number, size, checksum')
+      .single();
+
+    if (error) {
+      throw new Error(`Upload part save failed: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Move a session to 'completing', unless another request already did
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<boolean>} - Whether this caller owns the completion
+   */
+  async claimCompletion(uploadId) {
+    const { data, error } = await this.getSupabase()
+      .from('upload_sessions')
+      .update({ status: 'completing', error_message: null })
+      .eq('id', uploadId)
+      .eq('status', 'uploading')
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Upload session update failed: ${error.message}`);
+    }
+
+    return Boolean(data);
+  }
+
+  /**
+   * Check that every part arrived and the client's file checksum matches, then join the parts into one file.
+   * The file checksum is the SHA-256 of the part checksums (hex, in part order), which the
+   * client can compute without hashing a multi-gigabyte file in one go
+   * @param {Object} session - Session record with parts
+   * @param {string} checksum - Client's file checksum
+   * @returns {Promise<string>} - Path of the assembled file
+   */
+  async assemble(session, checksum) {
+    const received = new Set(session.parts.map(part => part.part_number));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+      if (!received.has(partNumber)) missing.push(partNumber);
+    }
+
+    if (missing.length > 0) {
+      const error = this.createError('UPLOAD_INCOMPLETE', `Upload is missing ${missing.length} part(s)`);
+      error.missingParts = missing;
+      throw error;
+    }
+
+    const fileChecksum = this.computeFileChecksum(session.parts.map(part => part.checksum));
+    if (!checksum || fileChecksum !== checksum.toLowerCase()) {
+      throw this.createError('CHECKSUM_MISMATCH', 'File checksum does not match the uploaded parts');
+    }
+
+    const filePath = path.join('uploads', `${session.id}-${path.basename(session.file_name)}`);
+    const output = fs.createWriteStream(filePath);
+
+    try {
+      for (const part of session.parts) {
+        // Re-hash while copying, so a part damaged on disk is caught before processing
+        const hash = crypto.createHash('sha256');
+        const input = fs.createReadStream(this.getPartPath(session.id, part.part_number));
+        input.on('data', chunk => hash.update(chunk));
+
+        await pipeline(input, output, { end: false });
+
+        if (hash.digest('hex') !== part.checksum) {
+          throw this.createError('CHECKSUM_MISMATCH', `Part ${part.part_number} is corrupted on disk; upload it again`);
+        }
+      }
+
+      await new Promise((resolve, reject) => {
+        output.on('error', reject);
+        output.end(resolve);
+      });
+
+    } catch (error) {
+      output.destroy();
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    console.log(`🧩 Assembled ${session.total_parts} parts into ${filePath}`);
+
+    return filePath;
+  }
+
+  /**
+   * Compute the file checksum from part checksums
+   * @param {Array<string>} partChecksums - Part SHA-256 digests (hex), in part order
+   * @returns {string} - SHA-256 (hex)
+   */
+  computeFileChecksum(partChecksums) {
+    return crypto.createHash('sha256').update(partChecksums.join('')).digest('hex');
+  }
+
+  /**
+   * Update a session record
+   * @param {string} uploadId - Upload session ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateSession(uploadId, updateData) {
+    const { error } = await this.getSupabase()
+      .from('upload_sessions')
+      .update(updateData)
+      .eq('id', uploadId);
+
+    if (error) {
+      console.error(`Upload session update failed for ${uploadId}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete the part files of a session
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<void>}
+   */
+  async removeParts(uploadId) {
+    try {
+      await fs.promises.rm(this.getSessionDir(uploadId), { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`⚠️  Upload part cleanup warning for ${uploadId}:`, error.message);
+    }
+  }
+
+  /**
+   * Abort sessions that were not completed in time and free their disk space
+   * @returns {Promise<number>} - Number of expired sessions
+   */
+  async cleanupExpiredSessions() {
+    const { data, error } = await this.getSupabase()
+      .from('upload_sessions')
+      .update({ status: 'aborted', error_message: 'Upload session expired' })
+      .eq('status', 'uploading')
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.warn('⚠️  Upload session cleanup warning:', error.message);
+      return 0;
+    }
+
+    for (const session of data) {
+      await this.removeParts(session.id);
+    }
+
+    if (data.length > 0) {
+      console.log(`🧹 Removed ${data.length} expired upload session(s)`);
+    }
+
+    return data.length;
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @returns {string} - Directory holding the session's parts
+   */
+  getSessionDir(uploadId) {
+    return path.join(this.sessionsDir, uploadId);
+  }
+
+  /**
+   * @param {string} uploadId - Upload session ID
+   * @param {number} partNumber - Part number (1-based)
+   * @returns {string} - Part file path
+   */
+  getPartPath(uploadId, partNumber) {
+    return path.join(this.getSessionDir(uploadId), `${partNumber}.part`);
+  }
+
+  /**
+   * Create an error the upload routes turn into a client error response
+   * @param {string} code - Error code (PART_INVALID, CHECKSUM_MISMATCH, UPLOAD_INCOMPLETE)
+   * @param {string} message - Error message
+   * @returns {Error} - Error with `code`
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export default UploadSessionService;
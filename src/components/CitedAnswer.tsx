@@ -0,0 +1,78 @@
+import { Clock } from 'lucide-react';
+import { stripCitationMarkers, type Citation, type CitedSentence } from '@/lib/citations';
+
+interface CitedAnswerProps {
+  text: string;
+  /** Sentence spans of `text`; missing while the answer is streaming */
+  sentences?: CitedSentence[];
+  citations?: Citation[];
+  onSelect: (citation: Citation) => void;
+}
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const CitedAnswer = ({ text, sentences, citations = [], onSelect }: CitedAnswerProps) => {
+  if (!sentences) {
+    return <p className="whitespace-pre-wrap">{stripCitationMarkers(text)}</p>;
+  }
+
+  const citationsById = new Map(citations.map(citation => [citation.id, citation]));
+  const parts = [];
+  let position = 0;
+
+  sentences.forEach((sentence, index) => {
+    parts.push(text.slice(position, sentence.end));
+    sentence.citations.forEach(id => {
+      const citation = citationsById.get(id);
+      if (!citation) return;
+
+      parts.push(
+        <sup key={`${index}-${id}`}>
+          <button
+            type="button"
+            onClick={() => onSelect(citation)}
+            title={`${formatTime(citation.startTime)} – ${citation.text}`}
+            className="ml-0.5 rounded px-0.5 font-medium text-blue-600 hover:bg-blue-100 hover:text-blue-800"
+          >
+            [{id}]
+          </button>
+        </sup>
+      );
+    });
+    position = sentence.end;
+  });
+  parts.push(text.slice(position));
+
+  return (
+    <>
+      <p className="whitespace-pre-wrap">{parts}</p>
+
+      {citations.length > 0 && (
+        <ol className="mt-3 space-y-1 border-t border-slate-200 pt-2">
+          {citations.map(citation => (
+            <li key={citation.id}>
+              <button
+                type="button"
+                onClick={() => onSelect(citation)}
+                className="flex w-full items-start space-x-2 rounded p-1.5 text-left text-sm hover:bg-white/60 transition-colors"
+              >
+                <span className="font-medium text-blue-600">[{citation.id}]</span>
+                <span className="flex flex-shrink-0 items-center space-x-1 font-medium">
+                  <Clock className="w-3.5 h-3.5" />
+                  <span>{formatTime(citation.startTime)}</span>
+                </span>
+                <span className="opacity-80 line-clamp-2">{citation.text}</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </>
+  );
+};
+
+export default CitedAnswer;
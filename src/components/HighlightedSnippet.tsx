@@ -0,0 +1,25 @@
+interface HighlightedSnippetProps {
+  text: string;
+  /** Character ranges to mark, in order */
+  highlights: Array<[number, number]>;
+}
+
+const HighlightedSnippet = ({ text, highlights }: HighlightedSnippetProps) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end], index) => {
+    parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="rounded-sm bg-yellow-200 px-0.5 text-slate-900">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <span>{parts}</span>;
+};
+
+export default HighlightedSnippet;
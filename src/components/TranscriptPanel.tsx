@@ -0,0 +1,367 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import HighlightedSnippet from '@/components/HighlightedSnippet';
+import { ChevronDown, ChevronUp, FileText, Loader2, LocateFixed, Search, X } from 'lucide-react';
+import {
+  fetchTranscriptSegments,
+  findSegmentAt,
+  searchTranscript,
+  type TranscriptSearchResult,
+  type TranscriptSegment
+} from '@/lib/transcript';
+
+export interface TranscriptFocus {
+  start: number;
+  end: number;
+}
+
+interface TranscriptPanelProps {
+  videoId: string;
+  currentTime: number;
+  onSeek: (seconds: number) => void;
+  /** Span cited by a chat answer; a new object scrolls the transcript to it again */
+  focus: TranscriptFocus | null;
+}
+
+// Keys that scroll a focused container
+const scrollKeys = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+// Scroll events this soon after the last one from scrollToRow still belong to its (smooth) scroll
+const programmaticScrollMs = 150;
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const TranscriptPanel = ({ videoId, currentTime, onSeek, focus }: TranscriptPanelProps) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const programmaticScroll = useRef(false);
+  const programmaticScrollTimer = useRef<number>();
+  const shownFocus = useRef<TranscriptFocus | null>(null);
+  const searchController = useRef<AbortController | null>(null);
+  const [segments, setSegments] = useState<TranscriptSegment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [autoScroll, setAutoScroll] = useState(true);
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResult, setSearchResult] = useState<TranscriptSearchResult | null>(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [hitIndex, setHitIndex] = useState(-1);
+
+  const activeIndex = findSegmentAt(segments, currentTime);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    setLoading(true);
+    setError('');
+    fetchTranscriptSegments(videoId, controller.signal)
+      .then(setSegments)
+      .catch((loadError) => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading transcript:', loadError);
+        setError(loadError.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    setSearchQuery('');
+    setSearchResult(null);
+    setSearching(false);
+
+    return () => {
+      controller.abort();
+      // A search still running belongs to this video
+      searchController.current?.abort();
+    };
+  }, [videoId]);
+
+  useEffect(() => () => window.clearTimeout(programmaticScrollTimer.current), []);
+
+  const markProgrammaticScroll = useCallback(() => {
+    programmaticScroll.current = true;
+    window.clearTimeout(programmaticScrollTimer.current);
+    programmaticScrollTimer.current = window.setTimeout(() => {
+      programmaticScroll.current = false;
+    }, programmaticScrollMs);
+  }, []);
+
+  const scrollToRow = useCallback((selector: string, behavior: ScrollBehavior = 'smooth') => {
+    const container = containerRef.current;
+    const row = container?.querySelector<HTMLElement>(selector);
+    if (!container || !row) return;
+
+    // Keep the line in the upper third so the upcoming lines stay visible
+    markProgrammaticScroll();
+    container.scrollTo({ top: row.offsetTop - container.clientHeight / 3, behavior });
+  }, [markProgrammaticScroll]);
+
+  const scrollToSegment = useCallback(
+    (index: number) => scrollToRow(`[data-segment="${index}"]`),
+    [scrollToRow]
+  );
+
+  useEffect(() => {
+    if (autoScroll && activeIndex >= 0) {
+      scrollToSegment(activeIndex);
+    }
+    // The search results list changes the row positions, so scroll again when it does
+  }, [activeIndex, autoScroll, searchResult, scrollToSegment]);
+
+  useEffect(() => {
+    if (hitIndex >= 0) {
+      scrollToRow(`[data-hit="${hitIndex}"]`);
+    }
+  }, [hitIndex, scrollToRow]);
+
+  const clearSearch = useCallback(() => {
+    searchController.current?.abort();
+    setSearching(false);
+    setSearchQuery('');
+    setSearchError('');
+    setSearchResult(null);
+    setHitIndex(-1);
+  }, []);
+
+  useEffect(() => {
+    if (!focus || focus === shownFocus.current || segments.length === 0) return;
+
+    // Segment rows are not rendered under search results; bring them back first, this runs again once they are
+    if (searchResult || searching) {
+      clearSearch();
+      return;
+    }
+
+    // Follow the cited span instead of playback until the user resumes
+    shownFocus.current = focus;
+    setAutoScroll(false);
+    scrollToSegment(Math.max(findSegmentAt(segments, focus.start), 0));
+  }, [focus, segments, searchResult, searching, clearSearch, scrollToSegment]);
+
+  const pauseAutoScroll = () => setAutoScroll(false);
+
+  // Catches scrolling the wheel, touch and key handlers miss, such as dragging the scrollbar
+  const handleScroll = () => {
+    if (programmaticScroll.current) {
+      markProgrammaticScroll();
+      return;
+    }
+    pauseAutoScroll();
+  };
+
+  const resumeAutoScroll = () => {
+    setAutoScroll(true);
+    if (activeIndex >= 0) scrollToSegment(activeIndex);
+  };
+
+  const handleSegmentClick = (segment: TranscriptSegment) => {
+    onSeek(segment.start);
+    setAutoScroll(true);
+  };
+
+  const runSearch = async () => {
+    const query = searchQuery.trim();
+    if (!query) return;
+
+    // A newer search replaces the one still running
+    searchController.current?.abort();
+    const controller = new AbortController();
+    searchController.current = controller;
+
+    setSearching(true);
+    setSearchError('');
+    try {
+      const result = await searchTranscript(videoId, query, { signal: controller.signal });
+      if (!controller.signal.aborted) setSearchResult(result);
+    } catch (searchFailure) {
+      if (controller.signal.aborted) return;
+      console.error('Error searching transcript:', searchFailure);
+      setSearchError((searchFailure as Error).message);
+      setSearchResult({ query, hits: [], total: 0 });
+    } finally {
+      if (!controller.signal.aborted) {
+        setHitIndex(-1);
+        setSearching(false);
+      }
+    }
+  };
+
+  const goToHit = (index: number) => {
+    const hit = searchResult?.hits[index];
+    if (!hit) return;
+
+    setHitIndex(index);
+    onSeek(hit.start);
+  };
+
+  // Steps wrap around, so next from the last hit returns to the first
+  const stepHit = (direction: 1 | -1) => {
+    const count = searchResult?.hits.length ?? 0;
+    if (count === 0) return;
+
+    goToHit(hitIndex < 0
+      ? (direction === 1 ? 0 : count - 1)
+      : (hitIndex + direction + count) % count);
+  };
+
+  const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      // Enter on the query already searched moves between hits
+      if (searchResult && searchResult.query === searchQuery.trim()) {
+        stepHit(e.shiftKey ? -1 : 1);
+      } else {
+        runSearch();
+      }
+    } else if (e.key === 'Escape') {
+      clearSearch();
+    }
+  };
+
+  const isCited = (segment: TranscriptSegment) =>
+    focus !== null && segment.start <= focus.end && segment.end >= focus.start;
+
+  return (
+    <Card className="flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div className="flex items-center space-x-2">
+          <FileText className="w-5 h-5 text-blue-600" />
+          <h2 className="font-semibold text-slate-900">Transcript</h2>
+        </div>
+        {!autoScroll && activeIndex >= 0 && (
+          <Button variant="ghost" size="sm" onClick={resumeAutoScroll}>
+            <LocateFixed className="w-4 h-4 mr-1" />
+            Follow video
+          </Button>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2 px-4 py-2 border-b border-slate-200">
+        <div className="relative flex-1">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+          <Input
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search the transcript..."
+            className="h-9 pl-8"
+            aria-label="Search the transcript"
+          />
+        </div>
+        {searching ? (
+          <Loader2 className="w-4 h-4 animate-spin text-slate-500" />
+        ) : searchResult && (
+          <>
+            <span className="whitespace-nowrap text-xs text-slate-600" aria-live="polite">
+              {searchError
+                ? 'Search failed'
+                : searchResult.total === 0
+                  ? 'No matches'
+                : `${hitIndex >= 0 ? hitIndex + 1 : '–'} of ${searchResult.total}`}
+            </span>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => stepHit(-1)}
+              disabled={searchResult.hits.length === 0}
+              aria-label="Previous match"
+            >
+              <ChevronUp className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => stepHit(1)}
+              disabled={searchResult.hits.length === 0}
+              aria-label="Next match"
+            >
+              <ChevronDown className="w-4 h-4" />
+            </Button>
+            <Button variant="ghost" size="sm" onClick={clearSearch} aria-label="Clear search">
+              <X className="w-4 h-4" />
+            </Button>
+          </>
+        )}
+      </div>
+
+      <div
+        ref={containerRef}
+        className="relative h-64 overflow-y-auto p-2"
+        onWheel={pauseAutoScroll}
+        onTouchMove={pauseAutoScroll}
+        onScroll={handleScroll}
+        onKeyDown={(e) => {
+          if (scrollKeys.includes(e.key) && e.target === e.currentTarget) pauseAutoScroll();
+        }}
+        tabIndex={0}
+        aria-label="Lecture transcript"
+      >
+        {loading ? (
+          <div className="flex items-center justify-center h-full text-slate-600">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Loading transcript...
+          </div>
+        ) : error ? (
+          <p className="p-2 text-sm text-red-600">{error}</p>
+        ) : searchResult ? (
+          <>
+            {searchError && <p className="p-2 text-sm text-red-600">{searchError}</p>}
+            {searchResult.hits.map((hit, index) => (
+              <button
+                key={hit.index}
+                data-hit={index}
+                onClick={() => goToHit(index)}
+                aria-current={index === hitIndex ? 'true' : undefined}
+                className={`flex w-full space-x-3 rounded px-2 py-1.5 text-left text-sm transition-colors ${
+                  index === hitIndex ? 'bg-blue-100 text-slate-900' : 'text-slate-700 hover:bg-slate-100'
+                }`}
+              >
+                <span className="w-12 flex-shrink-0 font-mono text-xs leading-5 text-blue-600">
+                  {formatTime(hit.start)}
+                </span>
+                <HighlightedSnippet text={hit.snippet} highlights={hit.highlights} />
+              </button>
+            ))}
+            {searchResult.total > searchResult.hits.length && (
+              <p className="p-2 text-xs text-slate-500">
+                Showing the first {searchResult.hits.length} of {searchResult.total} matches. Refine the search to narrow them down.
+              </p>
+            )}
+          </>
+        ) : segments.length === 0 ? (
+          <p className="p-2 text-sm text-slate-600">The transcript is not available yet.</p>
+        ) : (
+          segments.map((segment, index) => (
+            <button
+              key={segment.index}
+              data-segment={index}
+              onClick={() => handleSegmentClick(segment)}
+              aria-current={index === activeIndex ? 'true' : undefined}
+              className={`flex w-full space-x-3 rounded px-2 py-1.5 text-left text-sm transition-colors ${
+                index === activeIndex
+                  ? 'bg-blue-100 text-slate-900'
+                  : isCited(segment)
+                    ? 'bg-amber-50 text-slate-900'
+                    : 'text-slate-700 hover:bg-slate-100'
+              }`}
+            >
+              <span className="w-12 flex-shrink-0 font-mono text-xs leading-5 text-blue-600">
+                {formatTime(segment.start)}
+              </span>
+              <span>{segment.text}</span>
+            </button>
+          ))
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default TranscriptPanel;
@@ -0,0 +1,66 @@
+const API_BASE = 'http://localhost:3001';
+const PREFERENCES_KEY = 'lecturechat:captions';
+
+export interface CaptionTrack {
+  language: string;
+  label: string;
+  src: string;
+  /** False for translations of the transcript */
+  original: boolean;
+}
+
+export type CaptionSize = 'small' | 'medium' | 'large';
+export type CaptionBackground = 'solid' | 'translucent' | 'none';
+
+export interface CaptionPreferences {
+  enabled: boolean;
+  /** Preferred track language; the original transcript is used when unavailable */
+  language: string | null;
+  size: CaptionSize;
+  background: CaptionBackground;
+}
+
+const defaultPreferences: CaptionPreferences = {
+  enabled: false,
+  language: null,
+  size: 'medium',
+  background: 'translucent'
+};
+
+export async function fetchCaptionTracks(videoId: string): Promise<CaptionTrack[]> {
+  const response = await fetch(`${API_BASE}/api/processing/captions/${videoId}`);
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Could not load captions');
+  }
+
+  return data.tracks;
+}
+
+/**
+ * Download a WebVTT track and return it as an object URL. The video is served from storage,
+ * so a <track> pointing at the API would be cross-origin and need CORS on the video as well.
+ */
+export async function loadCaptionTrackUrl(track: CaptionTrack, signal?: AbortSignal): Promise<string> {
+  const response = await fetch(`${API_BASE}${track.src}`, { signal });
+
+  if (!response.ok) {
+    throw new Error(`Could not load ${track.label} captions`);
+  }
+
+  return URL.createObjectURL(new Blob([await response.text()], { type: 'text/vtt' }));
+}
+
+export function loadCaptionPreferences(): CaptionPreferences {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+    return { ...defaultPreferences, ...saved };
+  } catch {
+    return defaultPreferences;
+  }
+}
+
+export function saveCaptionPreferences(preferences: CaptionPreferences): void {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+}
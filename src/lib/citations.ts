@@ -0,0 +1,26 @@
+/** A context block an answer cites, numbered as a footnote by first use */
+export interface Citation {
+  id: number;
+  /** Number of the context block in the prompt */
+  block: number;
+  videoId: string;
+  videoTitle: string;
+  lecture: number;
+  startTime: number;
+  endTime: number;
+  text: string;
+}
+
+/** Character span of an answer and the footnote ids it cites */
+export interface CitedSentence {
+  start: number;
+  end: number;
+  citations: number[];
+}
+
+const citationMarkerPattern = /[ \t]*\[(?:Context\s+)?\d+(?:\s*,\s*\d+)*\]/gi;
+
+/** Hide the raw `[N]` markers of an answer that is still streaming; the server resolves them when it completes */
+export function stripCitationMarkers(text: string): string {
+  return text.replace(citationMarkerPattern, '');
+}
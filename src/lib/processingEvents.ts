@@ -0,0 +1,62 @@
+export interface ProcessingStatusEvent {
+  videoId: string;
+  status: 'processing' | 'ready' | 'failed';
+  stage: string;
+  progress: number;
+  error?: string | null;
+}
+
+export interface ProcessingProgressEvent {
+  videoId: string;
+  stage: string;
+  progress: number;
+  current: number;
+  total: number;
+  unit: 'percent' | 'pieces' | 'batches' | 'bytes';
+}
+
+export interface ProcessingCompletedEvent {
+  videoId: string;
+  result: {
+    chunks?: { total: number; withEmbeddings: number };
+    processingTime?: number;
+  };
+}
+
+export interface ProcessingEventHandlers {
+  onStatus?: (event: ProcessingStatusEvent) => void;
+  onProgress?: (event: ProcessingProgressEvent) => void;
+  onCompleted?: (event: ProcessingCompletedEvent) => void;
+  /** Connection errors; `closed` is true when the browser gave up (e.g. the endpoint answered 404 or 500) */
+  onError?: (event: { closed: boolean }) => void;
+}
+
+/**
+ * Subscribe to live processing events for one video, or for every video when videoId is omitted.
+ * EventSource reconnects on its own after network drops; call the returned function to close the stream.
+ */
+export function subscribeToProcessing(
+  videoId: string | null,
+  handlers: ProcessingEventHandlers
+): () => void {
+  const url = videoId
+    ? `http://localhost:3001/api/processing/events/${videoId}`
+    : 'http://localhost:3001/api/processing/events';
+  const source = new EventSource(url);
+
+  source.addEventListener('status', (event) => {
+    handlers.onStatus?.(JSON.parse((event as MessageEvent).data));
+  });
+  source.addEventListener('progress', (event) => {
+    handlers.onProgress?.(JSON.parse((event as MessageEvent).data));
+  });
+  source.addEventListener('completed', (event) => {
+    handlers.onCompleted?.(JSON.parse((event as MessageEvent).data));
+  });
+
+  source.onerror = () => {
+    handlers.onError?.({ closed: source.readyState === EventSource.CLOSED });
+  };
+
+  return () => source.close();
+}
@@ -0,0 +1,179 @@
+const API_BASE = 'http://localhost:3001/api/upload';
+const STORAGE_PREFIX = 'lecturechat:upload:';
+const MAX_PART_ATTEMPTS = 5;
+
+interface UploadPart {
+  partNumber: number;
+  size: number;
+  checksum: string;
+}
+
+interface UploadSession {
+  uploadId: string;
+  status: 'uploading' | 'completing' | 'completed' | 'aborted';
+  chunkSize: number;
+  totalParts: number;
+  videoId: string | null;
+  parts: UploadPart[];
+}
+
+export interface UploadDetails {
+  title: string;
+  subject: string;
+  description: string;
+}
+
+export interface CaptionFile {
+  fileName: string;
+  content: string;
+  language?: string;
+}
+
+export interface ResumableUploadOptions {
+  onProgress?: (uploadedBytes: number, totalBytes: number) => void;
+  signal?: AbortSignal;
+  /** SRT/VTT captions used as the transcript instead of transcribing the audio */
+  captions?: CaptionFile;
+}
+
+/**
+ * Upload a file in checksummed parts. The session ID is remembered per file, so choosing
+ * the same file again after a reload or a dropped connection only sends the missing parts.
+ * Resolves with the ID of the video queued for processing.
+ */
+export async function uploadResumable(
+  file: File,
+  details: UploadDetails,
+  { onProgress, signal, captions }: ResumableUploadOptions = {}
+): Promise<string> {
+  const storageKey = STORAGE_PREFIX + fingerprint(file);
+  const session = (await resumeSession(storageKey)) ?? (await createSession(file, details, storageKey));
+
+  if (session.status === 'completed' && session.videoId) {
+    localStorage.removeItem(storageKey);
+    return session.videoId;
+  }
+
+  const received = new Map(session.parts.map((part) => [part.partNumber, part]));
+  const checksums: string[] = [];
+  let uploadedBytes = 0;
+
+  for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+    signal?.throwIfAborted();
+
+    const start = (partNumber - 1) * session.chunkSize;
+    const blob = file.slice(start, Math.min(start + session.chunkSize, file.size));
+    const checksum = await sha256(await blob.arrayBuffer());
+
+    // Parts the server already holds are skipped, unless the local file changed since
+    if (received.get(partNumber)?.checksum !== checksum) {
+      await uploadPart(session.uploadId, partNumber, blob, checksum, signal);
+    }
+
+    checksums.push(checksum);
+    uploadedBytes += blob.size;
+    onProgress?.(uploadedBytes, file.size);
+  }
+
+  const fileChecksum = await sha256(new TextEncoder().encode(checksums.join('')));
+  const response = await fetch(`${API_BASE}/sessions/${session.uploadId}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ checksum: fileChecksum, captions }),
+    signal
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Upload failed');
+  }
+
+  localStorage.removeItem(storageKey);
+  return data.videoId;
+}
+
+async function resumeSession(storageKey: string): Promise<UploadSession | null> {
+  const uploadId = localStorage.getItem(storageKey);
+  if (!uploadId) return null;
+
+  try {
+    const response = await fetch(`${API_BASE}/sessions/${uploadId}`);
+    const data = await response.json();
+
+    if (response.ok && data.success && data.upload.status !== 'aborted') {
+      return data.upload;
+    }
+  } catch (error) {
+    console.warn('Could not resume upload, starting over:', error);
+  }
+
+  localStorage.removeItem(storageKey);
+  return null;
+}
+
+async function createSession(file: File, details: UploadDetails, storageKey: string): Promise<UploadSession> {
+  const response = await fetch(`${API_BASE}/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fileName: file.name,
+      fileSize: file.size,
+      mimeType: file.type,
+      ...details
+    })
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Could not start upload');
+  }
+
+  localStorage.setItem(storageKey, data.upload.uploadId);
+  return data.upload;
+}
+
+async function uploadPart(
+  uploadId: string,
+  partNumber: number,
+  blob: Blob,
+  checksum: string,
+  signal?: AbortSignal
+): Promise<void> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(`${API_BASE}/sessions/${uploadId}/parts/${partNumber}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Part-Checksum': checksum
+        },
+        body: blob,
+        signal
+      });
+
+      if (response.ok) return;
+
+      const data = await response.json().catch(() => ({}));
+      // Client errors other than a corrupted transfer will not go away by retrying
+      if (response.status < 500 && response.status !== 422) {
+        throw Object.assign(new Error(data.error || `Part ${partNumber} was rejected`), { permanent: true });
+      }
+      throw new Error(data.error || `Part ${partNumber} failed`);
+    } catch (error) {
+      if (signal?.aborted || (error as { permanent?: boolean }).permanent || attempt >= MAX_PART_ATTEMPTS) {
+        throw error;
+      }
+      // Exponential backoff: 1s, 2s, 4s, 8s
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+async function sha256(data: ArrayBuffer | Uint8Array): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fingerprint(file: File): string {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
@@ -0,0 +1,38 @@
+const API_BASE = 'http://localhost:3001/api/search';
+
+export interface LibraryMoment {
+  videoId: string;
+  videoTitle: string;
+  subject: string | null;
+  start: number;
+  end: number;
+  snippet: string;
+  /** Character ranges of keyword matches within `snippet` */
+  highlights: Array<[number, number]>;
+  matchTypes: Array<'keyword' | 'semantic'>;
+  score: number;
+  similarity?: number;
+}
+
+export interface LibrarySearchResult {
+  query: string;
+  moments: LibraryMoment[];
+  /** False when only keyword matching was available */
+  semantic: boolean;
+}
+
+/** Search every lecture's transcript for moments matching a query */
+export async function searchLibrary(
+  query: string,
+  { limit = 20, signal }: { limit?: number; signal?: AbortSignal } = {}
+): Promise<LibrarySearchResult> {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  const response = await fetch(`${API_BASE}?${params}`, { signal });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Search failed');
+  }
+
+  return { query: data.query, moments: data.moments, semantic: data.semantic };
+}
@@ -0,0 +1,56 @@
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+}
+
+/**
+ * Read a `text/event-stream` response body, calling onEvent for each complete event.
+ * Used for POST endpoints, which the browser's EventSource cannot open.
+ */
+export async function readEventStream(
+  response: Response,
+  onEvent: (event: ServerSentEvent) => void
+): Promise<void> {
+  if (!response.body) {
+    throw new Error('Response has no body to stream');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (block: string) => {
+    let event = 'message';
+    const data: string[] = [];
+
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+
+    if (data.length > 0) {
+      onEvent({ event, data: data.join('\n') });
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    flush(buffer);
+  }
+}
@@ -0,0 +1,89 @@
+const API_BASE = 'http://localhost:3001/api/processing';
+const PAGE_SIZE = 1000;
+
+export interface TranscriptSegment {
+  index: number;
+  start: number;
+  end: number;
+  text: string;
+  confidence: number | null;
+}
+
+/**
+ * Load every timed segment of a video's transcript, following the server's pagination.
+ * Resolves with an empty list when the video has no transcript yet.
+ */
+export async function fetchTranscriptSegments(videoId: string, signal?: AbortSignal): Promise<TranscriptSegment[]> {
+  const segments: TranscriptSegment[] = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const response = await fetch(`${API_BASE}/transcript/${videoId}?limit=${PAGE_SIZE}&offset=${offset}`, { signal });
+    const data = await response.json();
+
+    if (response.status === 404) return [];
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Could not load transcript');
+    }
+
+    segments.push(...data.segments);
+    if (!data.pagination.hasMore) return segments;
+  }
+}
+
+/**
+ * Index of the segment playing at a time: the last one starting at or before it
+ * @returns -1 before the first segment
+ */
+export function findSegmentAt(segments: TranscriptSegment[], time: number): number {
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (segments[middle].start <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
+
+export interface TranscriptHit {
+  index: number;
+  start: number;
+  end: number;
+  text: string;
+  snippet: string;
+  /** Character ranges of the matched words within `snippet` */
+  highlights: Array<[number, number]>;
+}
+
+export interface TranscriptSearchResult {
+  query: string;
+  hits: TranscriptHit[];
+  total: number;
+}
+
+/**
+ * Keyword search within a video's transcript. Hits come in playback order; only the
+ * first `limit` are returned, with `total` counting them all.
+ */
+export async function searchTranscript(
+  videoId: string,
+  query: string,
+  { limit = 200, signal }: { limit?: number; signal?: AbortSignal } = {}
+): Promise<TranscriptSearchResult> {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  const response = await fetch(`${API_BASE}/transcript/${videoId}/search?${params}`, { signal });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Search failed');
+  }
+
+  return { query: data.query, hits: data.hits, total: data.pagination.total };
+}
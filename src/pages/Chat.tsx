@@ -1,10 +1,20 @@
 
-import { useState, useRef, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
 import { 
   Send, 
   Play, 
@@ -13,22 +23,58 @@ import {
   Maximize, 
   ArrowLeft, 
   MessageCircle,
-  Clock,
   Loader2,
-  RotateCcw
+  RotateCcw,
+  Download,
+  Captions,
+  CaptionsOff,
+  Settings
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { readEventStream } from '@/lib/sse';
+import TranscriptPanel, { type TranscriptFocus } from '@/components/TranscriptPanel';
+import CitedAnswer from '@/components/CitedAnswer';
+import type { Citation, CitedSentence } from '@/lib/citations';
+import {
+  fetchCaptionTracks,
+  loadCaptionTrackUrl,
+  loadCaptionPreferences,
+  saveCaptionPreferences,
+  type CaptionBackground,
+  type CaptionPreferences,
+  type CaptionSize,
+  type CaptionTrack
+} from '@/lib/captions';
+
+const transcriptFormats = [
+  { format: 'txt', label: 'Plain text (.txt)' },
+  { format: 'md', label: 'Markdown (.md)' },
+  { format: 'srt', label: 'Captions (.srt)' },
+  { format: 'vtt', label: 'Captions (.vtt)' }
+];
+
+const captionSizes: Array<{ value: CaptionSize; label: string; className: string }> = [
+  { value: 'small', label: 'Small', className: 'text-sm' },
+  { value: 'medium', label: 'Medium', className: 'text-lg' },
+  { value: 'large', label: 'Large', className: 'text-2xl' }
+];
+
+const captionBackgrounds: Array<{ value: CaptionBackground; label: string; className: string }> = [
+  { value: 'solid', label: 'Solid', className: 'bg-black' },
+  { value: 'translucent', label: 'Translucent', className: 'bg-black/60' },
+  { value: 'none', label: 'None', className: '[text-shadow:0_1px_3px_rgb(0_0_0),0_0_2px_rgb(0_0_0)]' }
+];
 
 interface Message {
   id: string;
   type: 'user' | 'ai';
   content: string;
   timestamp: Date;
-  videoTimestamps?: Array<{
-    time: number;
-    label: string;
-  }>;
+  /** Transcript passages the answer cites, as footnotes */
+  citations?: Citation[];
+  /** Sentence spans of `content` and the footnotes each cites; set once the answer is complete */
+  sentences?: CitedSentence[];
 }
 
 interface VideoData {
@@ -40,25 +86,31 @@ interface VideoData {
   file_path: string;
 }
 
+const createWelcomeMessage = (): Message => ({
+  id: 'welcome',
+  type: 'ai',
+  content: 'Hello! I\'m ready to help you explore your lecture content. Ask me anything about the video, and I\'ll provide timestamped responses to help you find the exact moments you\'re looking for.',
+  timestamp: new Date(),
+});
+
+const createConversationId = (videoId?: string) => `conv_${videoId}_${Date.now()}`;
+
 const Chat = () => {
   const { videoId } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const { toast } = useToast();
   const videoRef = useRef<HTMLVideoElement>(null);
+  const captionTrackRef = useRef<HTMLTrackElement>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   
   const [video, setVideo] = useState<VideoData | null>(null);
   const [videoUrl, setVideoUrl] = useState<string>('');
   const [loading, setLoading] = useState(true);
   
-  const [messages, setMessages] = useState<Message[]>([
-    {
-      id: 'welcome',
-      type: 'ai',
-      content: 'Hello! I\'m ready to help you explore your lecture content. Ask me anything about the video, and I\'ll provide timestamped responses to help you find the exact moments you\'re looking for.',
-      timestamp: new Date(),
-    }
-  ]);
+  const [messages, setMessages] = useState<Message[]>([createWelcomeMessage()]);
+  // Every message in a conversation shares this id, so the server can load the earlier turns
+  const [conversationId, setConversationId] = useState(() => createConversationId(videoId));
   
   const [inputMessage, setInputMessage] = useState('');
   const [isPlaying, setIsPlaying] = useState(false);
@@ -67,12 +119,93 @@ const Chat = () => {
   const [volume, setVolume] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
 
+  const [captionTracks, setCaptionTracks] = useState<CaptionTrack[]>([]);
+  const [captionPreferences, setCaptionPreferences] = useState<CaptionPreferences>(loadCaptionPreferences);
+  const [captionTrackUrl, setCaptionTrackUrl] = useState('');
+  const [activeCaption, setActiveCaption] = useState('');
+  const [transcriptFocus, setTranscriptFocus] = useState<TranscriptFocus | null>(null);
+
+  // Fall back to the original transcript when the preferred language has no track
+  const captionTrack = captionTracks.find((track) => track.language === captionPreferences.language)
+    ?? captionTracks.find((track) => track.original)
+    ?? captionTracks[0];
+
+  const startNewConversation = useCallback(() => {
+    setMessages([createWelcomeMessage()]);
+    setTranscriptFocus(null);
+    setConversationId(createConversationId(videoId));
+  }, [videoId]);
+
   useEffect(() => {
     if (videoId) {
       fetchVideo();
     }
+    startNewConversation();
+  }, [videoId, startNewConversation]);
+
+  useEffect(() => {
+    if (!videoId) return;
+
+    setCaptionTracks([]);
+    fetchCaptionTracks(videoId)
+      .then(setCaptionTracks)
+      .catch((error) => console.warn('Captions unavailable:', error));
   }, [videoId]);
 
+  useEffect(() => {
+    if (!captionPreferences.enabled || !captionTrack) {
+      setCaptionTrackUrl('');
+      return;
+    }
+
+    const controller = new AbortController();
+    let objectUrl = '';
+
+    loadCaptionTrackUrl(captionTrack, controller.signal)
+      .then((url) => {
+        objectUrl = url;
+        setCaptionTrackUrl(url);
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading captions:', error);
+        toast({
+          title: 'Captions unavailable',
+          description: error.message,
+          variant: 'destructive'
+        });
+      });
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [captionPreferences.enabled, captionTrack, toast]);
+
+  useEffect(() => {
+    const track = captionTrackRef.current?.track;
+    if (!captionTrackUrl || !track) return;
+
+    // Cues are drawn by the player overlay, except in native fullscreen where only the video is visible
+    const updateMode = () => {
+      track.mode = document.fullscreenElement === videoRef.current ? 'showing' : 'hidden';
+    };
+    const handleCueChange = () => {
+      const cues = Array.from(track.activeCues ?? []) as VTTCue[];
+      setActiveCaption(cues.map((cue) => cue.text).join('\n'));
+    };
+
+    updateMode();
+    track.addEventListener('cuechange', handleCueChange);
+    document.addEventListener('fullscreenchange', updateMode);
+
+    return () => {
+      track.removeEventListener('cuechange', handleCueChange);
+      document.removeEventListener('fullscreenchange', updateMode);
+      setActiveCaption('');
+    };
+  }, [captionTrackUrl]);
+
   const fetchVideo = async () => {
     try {
       const { data, error } = await supabase
@@ -129,6 +262,14 @@ const Chat = () => {
     }
   };
 
+  const showCitation = (citation: Citation) => {
+    jumpToTimestamp(citation.startTime);
+    setTranscriptFocus({
+      start: citation.startTime,
+      end: citation.endTime
+    });
+  };
+
   const togglePlay = () => {
     if (videoRef.current) {
       if (isPlaying) {
@@ -149,6 +290,13 @@ const Chat = () => {
   const handleLoadedMetadata = () => {
     if (videoRef.current) {
       setDuration(videoRef.current.duration);
+
+      // Links from course-wide answers open the lecture at ?t=<seconds>
+      const startAt = parseFloat(searchParams.get('t') || '');
+      if (startAt > 0) {
+        videoRef.current.currentTime = startAt;
+        setCurrentTime(startAt);
+      }
     }
   };
 
@@ -168,49 +316,65 @@ const Chat = () => {
     }
   };
 
-  const getAIResponse = async (userMessage: string): Promise<Message> => {
-    try {
-      const response = await fetch('http://localhost:3001/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          message: userMessage,
-          videoId: videoId,
-          conversationId: `conv_${videoId}_${Date.now()}`
-        })
-      });
+  const updateCaptionPreferences = (changes: Partial<CaptionPreferences>) => {
+    setCaptionPreferences((previous) => {
+      const next = { ...previous, ...changes };
+      saveCaptionPreferences(next);
+      return next;
+    });
+  };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  const streamAIResponse = async (
+    userMessage: string,
+    onToken: (token: string) => void
+  ): Promise<Pick<Message, 'content' | 'citations' | 'sentences'>> => {
+    const response = await fetch('http://localhost:3001/api/chat/stream', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        message: userMessage,
+        videoId: videoId,
+        conversationId: conversationId,
+        // Lets questions like "what did she just say?" resolve against the player position
+        playerTime: videoRef.current?.currentTime ?? currentTime
+      })
+    });
 
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to get AI response');
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+    }
+
+    let result: Pick<Message, 'content' | 'citations' | 'sentences'> | null = null;
+
+    await readEventStream(response, ({ event, data }) => {
+      const payload = JSON.parse(data);
+
+      if (event === 'token') {
+        onToken(payload.text);
+      } else if (event === 'done') {
+        if (payload.invalidCitations?.length) {
+          console.warn('Answer cited context that was not supplied:', payload.invalidCitations);
+        }
+
+        setConversationId(payload.conversationId);
+        result = {
+          content: payload.response,
+          citations: payload.citations || [],
+          sentences: payload.sentences || []
+        };
+      } else if (event === 'error') {
+        throw new Error(payload.error || 'Failed to get AI response');
       }
+    });
 
-      // Parse timestamps from the response if they exist
-      const videoTimestamps = data.timestamps?.map((timestamp: any) => ({
-        time: timestamp.time || 0,
-        label: timestamp.text || timestamp.timeString || 'Reference'
-      })) || [];
-
-      console.log('📍 Received timestamps:', data.timestamps);
-      console.log('📍 Processed videoTimestamps:', videoTimestamps);
-      return {
-        id: Date.now().toString(),
-        type: 'ai',
-        content: data.response,
-        timestamp: new Date(),
-        videoTimestamps: videoTimestamps
-      };
-    } catch (error) {
-      console.error('Error getting AI response:', error);
-      throw error;
+    if (!result) {
+      throw new Error('Response stream ended unexpectedly');
     }
+
+    return result;
   };
 
   const handleSendMessage = async () => {
@@ -222,16 +386,29 @@ const Chat = () => {
       content: inputMessage,
       timestamp: new Date()
     };
+    const aiMessageId = `${userMessage.id}-ai`;
     
-    setMessages(prev => [...prev, userMessage]);
+    const updateAIMessage = (update: (message: Message) => Message) => {
+      setMessages(prev => prev.map(message => message.id === aiMessageId ? update(message) : message));
+    };
+    
+    // The AI message fills in token by token as the answer streams
+    setMessages(prev => [
+      ...prev,
+      userMessage,
+      { id: aiMessageId, type: 'ai', content: '', timestamp: new Date() }
+    ]);
     setInputMessage('');
     setIsLoading(true);
     
     try {
-      const aiResponse = await getAIResponse(inputMessage);
-      setMessages(prev => [...prev, aiResponse]);
+      const result = await streamAIResponse(inputMessage, (token) => {
+        updateAIMessage(message => ({ ...message, content: message.content + token }));
+      });
+      updateAIMessage(message => ({ ...message, ...result, timestamp: new Date() }));
     } catch (error) {
       console.error('Chat error:', error);
+      setMessages(prev => prev.filter(message => message.id !== aiMessageId || message.content));
       toast({
         title: 'Error',
         description: 'Failed to get AI response. Please try again.',
@@ -296,6 +473,23 @@ const Chat = () => {
                 <span>{video.duration || 'Unknown duration'}</span>
               </div>
             </div>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Download className="w-4 h-4 mr-2" />
+                  Transcript
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                {transcriptFormats.map(({ format, label }) => (
+                  <DropdownMenuItem key={format} asChild>
+                    <a href={`http://localhost:3001/api/processing/transcript/${videoId}/export?format=${format}`}>
+                      {label}
+                    </a>
+                  </DropdownMenuItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
           </div>
         </div>
       </header>
@@ -312,12 +506,40 @@ const Chat = () => {
                   onTimeUpdate={handleTimeUpdate}
                   onLoadedMetadata={handleLoadedMetadata}
                   src={videoUrl}
+                  data-caption-size={captionPreferences.size}
+                  data-caption-background={captionPreferences.background}
                   poster="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAwIiBoZWlnaHQ9IjQ1MCIgdmlld0JveD0iMCAwIDgwMCA0NTAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSI4MDAiIGhlaWdodD0iNDUwIiBmaWxsPSIjMUUyOTNiIi8+CjxjaXJjbGUgY3g9IjQwMCIgY3k9IjIyNSIgcj0iNDAiIGZpbGw9IiM2MzY2RjEiLz4KPHN2ZyB4PSIzODAiIHk9IjIwNSIgd2lkdGg9IjQwIiBoZWlnaHQ9IjQwIiB2aWV3Qm94PSIwIDAgMjQgMjQiIGZpbGw9IndoaXRlIj4KPHA+PHBhdGggZD0ibTkuNSAxNi41IDctNC41LTctNC41djl6Ii8+PC9wPgo8L3N2Zz4KPHR4dCB4PSI0MDAiIHk9IjI5MCIgZm9udC1mYW1pbHk9IkFyaWFsLCBzYW5zLXNlcmlmIiBmb250LXNpemU9IjE4IiBmaWxsPSIjOTQ5NEE0IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj5DbGljayB0byBwbGF5IGxlY3R1cmU8L3R4dD4KPC9zdmc+"
                   preload="metadata"
                 >
+                  {captionTrackUrl && captionTrack && (
+                    <track
+                      ref={captionTrackRef}
+                      key={captionTrackUrl}
+                      kind="captions"
+                      src={captionTrackUrl}
+                      srcLang={captionTrack.language}
+                      label={captionTrack.label}
+                    />
+                  )}
                   Your browser does not support the video tag.
                 </video>
                 
+                {/* Captions */}
+                {activeCaption && (
+                  <div className="absolute inset-x-0 bottom-24 flex justify-center px-8 pointer-events-none">
+                    <span
+                      lang={captionTrack?.language}
+                      className={`max-w-[90%] whitespace-pre-line rounded px-2 py-1 text-center leading-snug text-white ${
+                        captionSizes.find(({ value }) => value === captionPreferences.size)?.className
+                      } ${
+                        captionBackgrounds.find(({ value }) => value === captionPreferences.background)?.className
+                      }`}
+                    >
+                      {activeCaption}
+                    </span>
+                  </div>
+                )}
+                
                 {/* Video Controls Overlay */}
                 <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/70 to-transparent p-4">
                   <div className="space-y-2">
@@ -365,28 +587,127 @@ const Chat = () => {
                         </span>
                       </div>
                       
-                      <Button
-                        size="sm"
-                        variant="ghost"
-                        className="text-white hover:bg-white/20"
-                        onClick={() => videoRef.current?.requestFullscreen()}
-                      >
-                        <Maximize className="w-4 h-4" />
-                      </Button>
+                      <div className="flex items-center space-x-1">
+                        {captionTracks.length > 0 && (
+                          <>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              className="text-white hover:bg-white/20"
+                              onClick={() => updateCaptionPreferences({ enabled: !captionPreferences.enabled })}
+                              aria-pressed={captionPreferences.enabled}
+                              aria-label={captionPreferences.enabled ? 'Turn captions off' : 'Turn captions on'}
+                              title="Captions"
+                            >
+                              {captionPreferences.enabled ? (
+                                <Captions className="w-4 h-4" />
+                              ) : (
+                                <CaptionsOff className="w-4 h-4" />
+                              )}
+                            </Button>
+                            
+                            <DropdownMenu>
+                              <DropdownMenuTrigger asChild>
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  className="text-white hover:bg-white/20"
+                                  aria-label="Caption settings"
+                                  title="Caption settings"
+                                >
+                                  <Settings className="w-4 h-4" />
+                                </Button>
+                              </DropdownMenuTrigger>
+                              <DropdownMenuContent align="end" className="w-48">
+                                {captionTracks.length > 1 && (
+                                  <>
+                                    <DropdownMenuLabel>Language</DropdownMenuLabel>
+                                    <DropdownMenuRadioGroup
+                                      value={captionTrack?.language}
+                                      onValueChange={(language) => updateCaptionPreferences({ language, enabled: true })}
+                                    >
+                                      {captionTracks.map((track) => (
+                                        <DropdownMenuRadioItem key={track.language} value={track.language}>
+                                          {track.label}
+                                        </DropdownMenuRadioItem>
+                                      ))}
+                                    </DropdownMenuRadioGroup>
+                                    <DropdownMenuSeparator />
+                                  </>
+                                )}
+                                <DropdownMenuLabel>Text size</DropdownMenuLabel>
+                                <DropdownMenuRadioGroup
+                                  value={captionPreferences.size}
+                                  onValueChange={(size) => updateCaptionPreferences({ size: size as CaptionSize })}
+                                >
+                                  {captionSizes.map(({ value, label }) => (
+                                    <DropdownMenuRadioItem key={value} value={value}>
+                                      {label}
+                                    </DropdownMenuRadioItem>
+                                  ))}
+                                </DropdownMenuRadioGroup>
+                                <DropdownMenuSeparator />
+                                <DropdownMenuLabel>Background</DropdownMenuLabel>
+                                <DropdownMenuRadioGroup
+                                  value={captionPreferences.background}
+                                  onValueChange={(background) => updateCaptionPreferences({ background: background as CaptionBackground })}
+                                >
+                                  {captionBackgrounds.map(({ value, label }) => (
+                                    <DropdownMenuRadioItem key={value} value={value}>
+                                      {label}
+                                    </DropdownMenuRadioItem>
+                                  ))}
+                                </DropdownMenuRadioGroup>
+                              </DropdownMenuContent>
+                            </DropdownMenu>
+                          </>
+                        )}
+                        
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="text-white hover:bg-white/20"
+                          onClick={() => videoRef.current?.requestFullscreen()}
+                          aria-label="Fullscreen"
+                        >
+                          <Maximize className="w-4 h-4" />
+                        </Button>
+                      </div>
                     </div>
                   </div>
                 </div>
               </div>
             </Card>
+            
+            {/* Transcript */}
+            {videoId && (
+              <TranscriptPanel
+                videoId={videoId}
+                currentTime={currentTime}
+                onSeek={jumpToTimestamp}
+                focus={transcriptFocus}
+              />
+            )}
           </div>
 
           {/* Chat Interface */}
           <div className="flex flex-col h-full">
             <Card className="flex-1 flex flex-col">
               <div className="p-4 border-b border-slate-200">
-                <div className="flex items-center space-x-2">
-                  <MessageCircle className="w-5 h-5 text-blue-600" />
-                  <h2 className="font-semibold text-slate-900">AI Chat Assistant</h2>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2">
+                    <MessageCircle className="w-5 h-5 text-blue-600" />
+                    <h2 className="font-semibold text-slate-900">AI Chat Assistant</h2>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={startNewConversation}
+                    disabled={isLoading}
+                  >
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    New conversation
+                  </Button>
                 </div>
                 <p className="text-sm text-slate-600 mt-1">
                   Ask questions about the lecture content
@@ -395,7 +716,7 @@ const Chat = () => {
               
               {/* Messages */}
               <div className="flex-1 overflow-y-auto p-4 space-y-4 max-h-[calc(100vh-400px)] min-h-[300px]">
-                {messages.map((message) => (
+                {messages.filter(message => message.type === 'user' || message.content).map((message) => (
                   <div
                     key={message.id}
                     className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -407,26 +728,15 @@ const Chat = () => {
                           : 'bg-slate-100 text-slate-900'
                       }`}
                     >
-                      <p className="whitespace-pre-wrap">{message.content}</p>
-                      
-                      {message.videoTimestamps && (
-                        <div className="mt-3 space-y-2">
-                          {message.videoTimestamps.map((timestamp, index) => (
-                            <button
-                              key={index}
-                              onClick={() => jumpToTimestamp(timestamp.time)}
-                              className="flex items-center space-x-2 w-full p-2 rounded bg-white/10 hover:bg-white/20 transition-colors text-left"
-                            >
-                              <Clock className="w-4 h-4 flex-shrink-0" />
-                              <span className="text-sm font-medium">
-                                {formatTime(timestamp.time)}
-                              </span>
-                              <span className="text-sm opacity-90">
-                                {timestamp.label}
-                              </span>
-                            </button>
-                          ))}
-                        </div>
+                      {message.type === 'ai' ? (
+                        <CitedAnswer
+                          text={message.content}
+                          sentences={message.sentences}
+                          citations={message.citations}
+                          onSelect={showCitation}
+                        />
+                      ) : (
+                        <p className="whitespace-pre-wrap">{message.content}</p>
                       )}
                       
                       <div className="text-xs opacity-70 mt-2">
@@ -436,7 +746,7 @@ const Chat = () => {
                   </div>
                 ))}
                 
-                {isLoading && (
+                {isLoading && !messages[messages.length - 1]?.content && (
                   <div className="flex justify-start">
                     <div className="bg-slate-100 rounded-lg p-3 flex items-center space-x-2">
                       <Loader2 className="w-4 h-4 animate-spin" />
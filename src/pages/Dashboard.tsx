@@ -14,9 +14,27 @@ import {
   Filter,
   ArrowLeft,
   Video,
-  Calendar
+  Calendar,
+  Loader2,
+  Sparkles
 } from 'lucide-react';
+import { Progress } from '@/components/ui/progress';
 import { supabase } from '@/integrations/supabase/client';
+import { subscribeToProcessing } from '@/lib/processingEvents';
+import { searchLibrary, type LibrarySearchResult } from '@/lib/search';
+import HighlightedSnippet from '@/components/HighlightedSnippet';
+
+// Transcript search starts once the query is this long, after typing pauses
+const minTranscriptQueryLength = 3;
+const transcriptSearchDelay = 400;
+
+const formatMomentTime = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const mmss = `${mins.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
 
 interface Video {
   id: string;
@@ -27,6 +45,7 @@ interface Video {
   status: 'processing' | 'ready' | 'failed';
   description: string | null;
   file_path: string;
+  processing_progress?: number | null;
 }
 
 const Dashboard = () => {
@@ -35,11 +54,64 @@ const Dashboard = () => {
   const [filterSubject, setFilterSubject] = useState('all');
   const [videos, setVideos] = useState<Video[]>([]);
   const [loading, setLoading] = useState(true);
+  const [librarySearch, setLibrarySearch] = useState<LibrarySearchResult | null>(null);
+  const [librarySearching, setLibrarySearching] = useState(false);
+  const [librarySearchError, setLibrarySearchError] = useState('');
 
   useEffect(() => {
     fetchVideos();
   }, []);
 
+  // Search inside every transcript as the user types, cancelling superseded requests
+  useEffect(() => {
+    const query = searchTerm.trim();
+    setLibrarySearchError('');
+
+    if (query.length < minTranscriptQueryLength) {
+      setLibrarySearch(null);
+      setLibrarySearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    setLibrarySearching(true);
+
+    const timer = setTimeout(() => {
+      searchLibrary(query, { signal: controller.signal })
+        .then(setLibrarySearch)
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          console.error('Error searching transcripts:', error);
+          setLibrarySearch(null);
+          setLibrarySearchError(error.message);
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setLibrarySearching(false);
+        });
+    }, transcriptSearchDelay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchTerm]);
+
+  const hasProcessingVideos = videos.some(video => video.status === 'processing');
+
+  // Keep processing cards live while anything is still in the pipeline
+  useEffect(() => {
+    if (!hasProcessingVideos) return;
+
+    const updateVideo = (videoId: string, update: Partial<Video>) => {
+      setVideos(prev => prev.map(video => video.id === videoId ? { ...video, ...update } : video));
+    };
+
+    return subscribeToProcessing(null, {
+      onStatus: ({ videoId, status, progress }) => updateVideo(videoId, { status, processing_progress: progress }),
+      onProgress: ({ videoId, progress }) => updateVideo(videoId, { processing_progress: progress })
+    });
+  }, [hasProcessingVideos]);
+
   const fetchVideos = async () => {
     try {
       const { data, error } = await supabase
@@ -61,9 +133,14 @@ const Dashboard = () => {
 
   const subjects = ['all', ...Array.from(new Set(videos.map(v => v.subject).filter(Boolean)))];
 
+  const moments = (librarySearch?.moments || [])
+    .filter(moment => filterSubject === 'all' || moment.subject === filterSubject);
+  const momentVideoIds = new Set(moments.map(moment => moment.videoId));
+
   const filteredVideos = videos.filter(video => {
     const matchesSearch = video.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         (video.subject && video.subject.toLowerCase().includes(searchTerm.toLowerCase()));
+                         (video.subject && video.subject.toLowerCase().includes(searchTerm.toLowerCase())) ||
+                         momentVideoIds.has(video.id);
     const matchesFilter = filterSubject === 'all' || video.subject === filterSubject;
     return matchesSearch && matchesFilter;
   });
@@ -158,11 +235,15 @@ const Dashboard = () => {
           <div className="relative flex-1">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4" />
             <Input
-              placeholder="Search videos by title or subject..."
+              placeholder="Search titles, subjects and everything said in your lectures..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              className="pl-10"
+              className="pl-10 pr-10"
+              aria-label="Search lectures"
             />
+            {librarySearching && (
+              <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4 animate-spin" />
+            )}
           </div>
           <div className="relative">
             <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-4 h-4" />
@@ -180,6 +261,52 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Transcript Moments */}
+        {librarySearchError && (
+          <p className="text-sm text-red-600 mb-6">Transcript search failed: {librarySearchError}</p>
+        )}
+        {librarySearch && moments.length > 0 && (
+          <Card className="mb-6">
+            <CardHeader className="pb-3">
+              <CardTitle className="text-lg">Moments in your lectures</CardTitle>
+              <CardDescription>
+                Where “{librarySearch.query}” comes up{!librarySearch.semantic && ' (exact word matches only; related-topic search is unavailable right now)'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-1">
+              {moments.map((moment) => (
+                <button
+                  key={`${moment.videoId}-${moment.start}`}
+                  onClick={() => navigate(`/chat/${moment.videoId}?t=${Math.floor(moment.start)}`)}
+                  className="flex w-full items-start space-x-3 rounded-md p-2 text-left hover:bg-slate-100 transition-colors"
+                >
+                  <Badge variant="outline" className="flex-shrink-0 font-mono">
+                    <Clock className="w-3 h-3 mr-1" />
+                    {formatMomentTime(moment.start)}
+                  </Badge>
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center space-x-2">
+                      <span className="truncate font-medium text-slate-900">{moment.videoTitle}</span>
+                      {moment.subject && (
+                        <span className="text-xs text-slate-500">{moment.subject}</span>
+                      )}
+                      {!moment.matchTypes.includes('keyword') && (
+                        <Badge variant="secondary" className="text-xs">
+                          <Sparkles className="w-3 h-3 mr-1" />
+                          Related
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-sm text-slate-600 line-clamp-2">
+                      <HighlightedSnippet text={moment.snippet} highlights={moment.highlights} />
+                    </p>
+                  </div>
+                </button>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
         {/* Videos Grid */}
         {loading ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -270,6 +397,10 @@ const Dashboard = () => {
                     {video.description || 'No description provided'}
                   </CardDescription>
                   
+                  {video.status === 'processing' && (
+                    <Progress value={video.processing_progress || 0} className="h-1 mb-4" />
+                  )}
+                  
                   <div className="flex items-center justify-between">
                     <div className="flex items-center text-sm text-slate-600">
                       <MessageCircle className="w-4 h-4 mr-1" />
@@ -287,7 +418,7 @@ const Dashboard = () => {
                       </Button>
                     ) : video.status === 'processing' ? (
                       <Button size="sm" disabled>
-                        Processing...
+                        Processing {video.processing_progress || 0}%
                       </Button>
                     ) : (
                       <Button 
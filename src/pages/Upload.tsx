@@ -1,5 +1,5 @@
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -10,6 +10,8 @@ import { Progress } from '@/components/ui/progress';
 import { Upload as UploadIcon, FileVideo, FileAudio, Play, ArrowLeft, CheckCircle, Clock, Loader2 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
+import { subscribeToProcessing, ProcessingProgressEvent } from '@/lib/processingEvents';
+import { uploadResumable } from '@/lib/resumableUpload';
 
 interface ProcessingStep {
   id: string;
@@ -27,7 +29,12 @@ const Upload = () => {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [subject, setSubject] = useState('');
+  const [captionsFile, setCaptionsFile] = useState<File | null>(null);
   const [currentStep, setCurrentStep] = useState(0);
+  const [processingProgress, setProcessingProgress] = useState(0);
+  const [progressDetail, setProgressDetail] = useState('');
+  // Closes the processing event stream, while one is open
+  const unsubscribeRef = useRef<(() => void) | null>(null);
   
   const [processingSteps, setProcessingSteps] = useState<ProcessingStep[]>([
     { id: 'upload', title: 'Uploading file...', status: 'pending' },
@@ -37,6 +44,8 @@ const Upload = () => {
     { id: 'ready', title: 'Ready for chat!', status: 'pending' }
   ]);
 
+  useEffect(() => () => unsubscribeRef.current?.(), []);
+
   const handleDrag = useCallback((e: React.DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
@@ -96,54 +105,30 @@ const Upload = () => {
     setCurrentStep(0);
     
     try {
-      // Create FormData for file upload
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('title', title.trim());
-      formData.append('subject', subject.trim() || '');
-      formData.append('description', description.trim() || '');
-      
-      // Upload to backend API with progress tracking
-      const xhr = new XMLHttpRequest();
-      
-      // Track upload progress
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-          const progress = Math.round((e.loaded / e.total) * 100);
-          setUploadProgress(progress);
+      // Upload in resumable parts; re-selecting the same file after a failure picks up where it stopped
+      const videoId = await uploadResumable(
+        file,
+        {
+          title: title.trim(),
+          subject: subject.trim() || '',
+          description: description.trim() || ''
+        },
+        {
+          onProgress: (uploaded, total) => setUploadProgress(Math.round((uploaded / total) * 100)),
+          // Existing captions become the transcript, so Whisper is skipped
+          captions: captionsFile
+            ? { fileName: captionsFile.name, content: await captionsFile.text() }
+            : undefined
         }
-      });
-      
-      // Handle response
-      const uploadPromise = new Promise((resolve, reject) => {
-        xhr.onload = () => {
-          if (xhr.status === 200) {
-            resolve(JSON.parse(xhr.responseText));
-          } else {
-            reject(new Error(`Upload failed: ${xhr.statusText}`));
-          }
-        };
-        xhr.onerror = () => reject(new Error('Upload failed'));
-      });
-      
-      // Start upload
-      xhr.open('POST', 'http://localhost:3001/api/upload');
-      xhr.send(formData);
-      
-      const uploadResponse = await uploadPromise;
+      );
       
-      if (!uploadResponse.success) {
-        throw new Error(uploadResponse.error || 'Upload failed');
-      }
-      
-      const videoId = uploadResponse.videoId;
       console.log('Upload successful, video ID:', videoId);
       
       // Move to processing steps
       setCurrentStep(1);
       
-      // Poll for processing status
-      await pollProcessingStatus(videoId);
+      // Follow processing live until the video is ready
+      await waitForProcessing(videoId);
       
       toast({
         title: 'Processing complete!',
@@ -165,52 +150,63 @@ const Upload = () => {
       setIsUploading(false);
       setCurrentStep(0);
       setUploadProgress(0);
+      setProcessingProgress(0);
     }
   };
   
-  const pollProcessingStatus = async (videoId: string) => {
-    const maxPollingTime = 10 * 60 * 1000; // 10 minutes
-    const pollingInterval = 3000; // 3 seconds
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < maxPollingTime) {
-      try {
-        const response = await fetch(`http://localhost:3001/api/processing/status/${videoId}`);
-        const data = await response.json();
-        
-        if (!data.success) {
-          throw new Error(data.error || 'Failed to get processing status');
-        }
-        
-        const video = data.video;
-        const stage = video.processing_stage;
-        const progress = video.processing_progress || 0;
-        
-        // Update UI based on processing stage
-        if (stage === 'audio_extraction') {
-          setCurrentStep(1);
-        } else if (stage === 'transcription') {
-          setCurrentStep(2);
-        } else if (stage === 'chunking' || stage === 'embedding') {
-          setCurrentStep(3);
-        } else if (stage === 'completed' || video.status === 'ready') {
+  const stageSteps: Record<string, number> = {
+    extracting_audio: 1,
+    transcribing: 2,
+    chunking: 3,
+    embedding: 3,
+    storing: 3,
+    completed: 4
+  };
+
+  const describeProgress = ({ stage, current, total, unit }: ProcessingProgressEvent) => {
+    if (unit === 'percent') return `Extracting audio: ${current}%`;
+    if (unit === 'pieces') return `Transcribing part ${current} of ${total}`;
+    if (unit === 'bytes') return `Downloading: ${(current / (1024 * 1024)).toFixed(0)} MB`;
+    return stage === 'storing'
+      ? `Storing batch ${current} of ${total}`
+      : `Embedding batch ${current} of ${total}`;
+  };
+
+  const waitForProcessing = (videoId: string) => new Promise<void>((resolve, reject) => {
+    const unsubscribe = () => {
+      close();
+      unsubscribeRef.current = null;
+    };
+    const close = subscribeToProcessing(videoId, {
+      onStatus: ({ status, stage, progress, error }) => {
+        setProcessingProgress(progress);
+        setProgressDetail(stage === 'retrying' ? `Retrying after an error: ${error}` : '');
+
+        if (status === 'ready') {
           setCurrentStep(4);
-          return; // Processing complete
-        } else if (video.status === 'failed') {
-          throw new Error(video.error_message || 'Processing failed');
+          unsubscribe();
+          resolve();
+        } else if (status === 'failed') {
+          unsubscribe();
+          reject(new Error(error || 'Processing failed'));
+        } else if (stageSteps[stage]) {
+          setCurrentStep(stageSteps[stage]);
+        }
+      },
+      onProgress: (event) => {
+        setProcessingProgress(event.progress);
+        setProgressDetail(describeProgress(event));
+      },
+      // Dropped connections are retried by the browser; a closed stream is not coming back
+      onError: ({ closed }) => {
+        if (closed) {
+          unsubscribe();
+          reject(new Error('Lost connection to processing updates. Check the Dashboard for the video\'s status.'));
         }
-        
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollingInterval));
-        
-      } catch (error) {
-        console.error('Status polling error:', error);
-        throw error;
       }
-    }
-    
-    throw new Error('Processing timeout - please check the video status later');
-  };
+    });
+    unsubscribeRef.current = unsubscribe;
+  });
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -378,6 +374,18 @@ const Upload = () => {
                     rows={3}
                   />
                 </div>
+                <div>
+                  <Label htmlFor="captions">Captions (optional)</Label>
+                  <Input
+                    id="captions"
+                    type="file"
+                    accept=".srt,.vtt"
+                    onChange={(e) => setCaptionsFile(e.target.files?.[0] || null)}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">
+                    Upload an existing .srt or .vtt file to use it as the transcript instead of generating one.
+                  </p>
+                </div>
               </CardContent>
             </Card>
 
@@ -398,7 +406,7 @@ const Upload = () => {
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-6">
-              {currentStep === 0 && (
+              {currentStep === 0 ? (
                 <div className="space-y-2">
                   <div className="flex justify-between text-sm">
                     <span>Uploading...</span>
@@ -406,6 +414,14 @@ const Upload = () => {
                   </div>
                   <Progress value={uploadProgress} className="h-2" />
                 </div>
+              ) : (
+                <div className="space-y-2">
+                  <div className="flex justify-between text-sm">
+                    <span>{progressDetail || 'Processing...'}</span>
+                    <span>{processingProgress}%</span>
+                  </div>
+                  <Progress value={processingProgress} className="h-2" />
+                </div>
               )}
               
               <div className="space-y-4">
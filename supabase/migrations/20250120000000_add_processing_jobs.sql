@@ -0,0 +1,49 @@
+-- Persisted job queue for the processing pipeline
+
+CREATE TABLE public.processing_jobs (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  video_id UUID NOT NULL REFERENCES public.videos(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  failed_stage VARCHAR(50),
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.processing_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for processing_jobs table
+CREATE POLICY "Anyone can view processing_jobs"
+ON public.processing_jobs
+FOR SELECT
+USING (true);
+
+CREATE POLICY "Anyone can create processing_jobs"
+ON public.processing_jobs
+FOR INSERT
+WITH CHECK (true);
+
+CREATE POLICY "Anyone can update processing_jobs"
+ON public.processing_jobs
+FOR UPDATE
+USING (true);
+
+-- Create trigger for automatic timestamp updates
+CREATE TRIGGER update_processing_jobs_updated_at
+BEFORE UPDATE ON public.processing_jobs
+FOR EACH ROW
+EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Create indexes for worker polling
+CREATE INDEX idx_processing_jobs_video_id ON public.processing_jobs(video_id);
+CREATE INDEX idx_processing_jobs_status_run_at ON public.processing_jobs(status, run_at);
+CREATE INDEX idx_processing_jobs_heartbeat_at ON public.processing_jobs(heartbeat_at);
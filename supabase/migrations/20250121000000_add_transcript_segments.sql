@@ -0,0 +1,37 @@
+-- Store Whisper segments so transcript timing survives processing
+
+CREATE TABLE public.transcript_segments (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  video_id UUID NOT NULL REFERENCES public.videos(id) ON DELETE CASCADE,
+  transcript_id UUID NOT NULL REFERENCES public.transcripts(id) ON DELETE CASCADE,
+  segment_index INTEGER NOT NULL,
+  start_time FLOAT NOT NULL,
+  end_time FLOAT NOT NULL,
+  text TEXT NOT NULL,
+  confidence FLOAT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.transcript_segments ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for transcript_segments table
+CREATE POLICY "Anyone can view transcript_segments"
+ON public.transcript_segments
+FOR SELECT
+USING (true);
+
+CREATE POLICY "Anyone can create transcript_segments"
+ON public.transcript_segments
+FOR INSERT
+WITH CHECK (true);
+
+CREATE POLICY "Anyone can delete transcript_segments"
+ON public.transcript_segments
+FOR DELETE
+USING (true);
+
+-- Create indexes for ordered and time-range reads
+CREATE INDEX idx_transcript_segments_video_id ON public.transcript_segments(video_id, segment_index);
+CREATE INDEX idx_transcript_segments_transcript_id ON public.transcript_segments(transcript_id);
+CREATE INDEX idx_transcript_segments_time ON public.transcript_segments(video_id, start_time, end_time);
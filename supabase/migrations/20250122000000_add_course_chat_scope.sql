@@ -0,0 +1,14 @@
+-- Allow chat conversations that span several lectures of a course
+
+-- Course-wide conversations are not tied to a single video
+ALTER TABLE public.chat_conversations
+ALTER COLUMN video_id DROP NOT NULL;
+
+-- Record which lectures a conversation searched
+ALTER TABLE public.chat_conversations
+ADD COLUMN IF NOT EXISTS video_ids UUID[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS subject TEXT;
+
+-- Create indexes for course-wide history lookups
+CREATE INDEX IF NOT EXISTS idx_chat_conversations_video_ids ON public.chat_conversations USING GIN(video_ids);
+CREATE INDEX IF NOT EXISTS idx_chat_conversations_subject ON public.chat_conversations(subject);
@@ -0,0 +1,31 @@
+-- Structured per-video processing log
+
+CREATE TABLE public.processing_logs (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  video_id UUID NOT NULL REFERENCES public.videos(id) ON DELETE CASCADE,
+  level VARCHAR(10) NOT NULL DEFAULT 'info' CHECK (level IN ('info', 'success', 'warn', 'error')),
+  stage VARCHAR(50) NOT NULL,
+  message TEXT NOT NULL,
+  duration_ms INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.processing_logs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for processing_logs table
+CREATE POLICY "Anyone can view processing_logs"
+ON public.processing_logs
+FOR SELECT
+USING (true);
+
+CREATE POLICY "Anyone can create processing_logs"
+ON public.processing_logs
+FOR INSERT
+WITH CHECK (true);
+
+-- Create indexes for per-video lookups
+CREATE INDEX idx_processing_logs_video_id_created_at ON public.processing_logs(video_id, created_at);
+CREATE INDEX idx_processing_logs_video_id_level ON public.processing_logs(video_id, level);
+CREATE INDEX idx_processing_logs_video_id_stage ON public.processing_logs(video_id, stage);
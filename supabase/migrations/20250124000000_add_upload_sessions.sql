@@ -0,0 +1,76 @@
+-- Resumable chunked uploads: one session per file, one row per received part
+
+CREATE TABLE public.upload_sessions (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  file_name TEXT NOT NULL,
+  file_size BIGINT NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  chunk_size INTEGER NOT NULL,
+  total_parts INTEGER NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'completing', 'completed', 'aborted')),
+  video_id UUID REFERENCES public.videos(id) ON DELETE SET NULL,
+  error_message TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE TABLE public.upload_parts (
+  session_id UUID NOT NULL REFERENCES public.upload_sessions(id) ON DELETE CASCADE,
+  part_number INTEGER NOT NULL,
+  size INTEGER NOT NULL,
+  checksum VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (session_id, part_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_parts ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for upload_sessions table
+CREATE POLICY "Anyone can view upload_sessions"
+ON public.upload_sessions
+FOR SELECT
+USING (true);
+
+CREATE POLICY "Anyone can create upload_sessions"
+ON public.upload_sessions
+FOR INSERT
+WITH CHECK (true);
+
+CREATE POLICY "Anyone can update upload_sessions"
+ON public.upload_sessions
+FOR UPDATE
+USING (true);
+
+CREATE POLICY "Anyone can delete upload_sessions"
+ON public.upload_sessions
+FOR DELETE
+USING (true);
+
+-- Create policies for upload_parts table
+CREATE POLICY "Anyone can view upload_parts"
+ON public.upload_parts
+FOR SELECT
+USING (true);
+
+CREATE POLICY "Anyone can create upload_parts"
+ON public.upload_parts
+FOR INSERT
+WITH CHECK (true);
+
+CREATE POLICY "Anyone can update upload_parts"
+ON public.upload_parts
+FOR UPDATE
+USING (true);
+
+-- Create trigger for automatic timestamp updates
+CREATE TRIGGER update_upload_sessions_updated_at
+BEFORE UPDATE ON public.upload_sessions
+FOR EACH ROW
+EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Create indexes for expiry cleanup
+CREATE INDEX idx_upload_sessions_status_expires_at ON public.upload_sessions(status, expires_at);
@@ -0,0 +1,4 @@
+-- Remember where lectures ingested from a media URL were downloaded from
+
+ALTER TABLE public.videos
+ADD COLUMN IF NOT EXISTS source_url TEXT;
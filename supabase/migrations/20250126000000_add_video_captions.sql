@@ -0,0 +1,5 @@
+-- Imported caption files (SRT/VTT) used as the transcript instead of Whisper
+
+ALTER TABLE public.videos
+ADD COLUMN IF NOT EXISTS captions_path TEXT,
+ADD COLUMN IF NOT EXISTS captions_language VARCHAR(10);
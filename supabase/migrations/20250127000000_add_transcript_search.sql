@@ -0,0 +1,50 @@
+-- Keyword search over transcript segments
+
+ALTER TABLE public.transcript_segments
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', text)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_search ON public.transcript_segments USING GIN(search_vector);
+
+-- Matching segments of one video in playback order, with a highlighted snippet.
+-- Matched words are wrapped in chr(2) ... chr(3) so the API can return highlight ranges
+-- instead of markup mixed into transcript text.
+CREATE OR REPLACE FUNCTION public.search_transcript_segments(
+  p_video_id UUID,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 50,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  segment_index INTEGER,
+  start_time FLOAT,
+  end_time FLOAT,
+  text TEXT,
+  snippet TEXT,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    s.segment_index,
+    s.start_time,
+    s.end_time,
+    s.text,
+    ts_headline(
+      'english',
+      s.text,
+      q.query,
+      format('StartSel=%s, StopSel=%s, MinWords=8, MaxWords=25, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))
+    ) AS snippet,
+    ts_rank(s.search_vector, q.query) AS rank,
+    count(*) OVER () AS total_count
+  FROM public.transcript_segments s,
+    websearch_to_tsquery('english', p_query) AS q(query)
+  WHERE s.video_id = p_video_id
+    AND s.search_vector @@ q.query
+  ORDER BY s.start_time
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
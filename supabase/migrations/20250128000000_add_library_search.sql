@@ -0,0 +1,43 @@
+-- Keyword search over the transcripts of every lecture
+
+-- Best-ranked matching segments across all videos, with a highlighted snippet.
+-- Uses the same chr(2) ... chr(3) highlight delimiters as search_transcript_segments.
+CREATE OR REPLACE FUNCTION public.search_transcript_library(
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 50,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  video_id UUID,
+  segment_index INTEGER,
+  start_time FLOAT,
+  end_time FLOAT,
+  text TEXT,
+  snippet TEXT,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    s.video_id,
+    s.segment_index,
+    s.start_time,
+    s.end_time,
+    s.text,
+    ts_headline(
+      'english',
+      s.text,
+      q.query,
+      format('StartSel=%s, StopSel=%s, MinWords=8, MaxWords=25, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))
+    ) AS snippet,
+    ts_rank(s.search_vector, q.query) AS rank,
+    count(*) OVER () AS total_count
+  FROM public.transcript_segments s,
+    websearch_to_tsquery('english', p_query) AS q(query)
+  WHERE s.search_vector @@ q.query
+  ORDER BY rank DESC, s.video_id, s.start_time
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
@@ -0,0 +1,44 @@
+-- Lexical index over text chunks for hybrid (keyword + vector) chat retrieval
+
+ALTER TABLE public.text_chunks
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', chunk_text)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_text_chunks_search ON public.text_chunks USING GIN(search_vector);
+
+-- Chunks of the given videos matching any term of a natural-language question, best first.
+-- Terms are OR-ed (a question rarely has every word in one chunk); cover density ranking
+-- rewards chunks where several terms appear close together, normalised by chunk length.
+CREATE OR REPLACE FUNCTION public.search_text_chunks(
+  p_query TEXT,
+  p_video_ids UUID[],
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  video_id UUID,
+  chunk_index INTEGER,
+  chunk_text TEXT,
+  start_time FLOAT,
+  end_time FLOAT,
+  rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT NULLIF(replace(plainto_tsquery('english', p_query)::TEXT, ' & ', ' | '), '') AS terms
+  )
+  SELECT
+    c.video_id,
+    c.chunk_index,
+    c.chunk_text,
+    c.start_time,
+    c.end_time,
+    ts_rank_cd(c.search_vector, to_tsquery('english', q.terms), 1) AS rank
+  FROM public.text_chunks c, q
+  WHERE q.terms IS NOT NULL
+    AND c.video_id = ANY(p_video_ids)
+    AND c.search_vector @@ to_tsquery('english', q.terms)
+  ORDER BY rank DESC, c.video_id, c.chunk_index
+  LIMIT p_limit;
+$$;
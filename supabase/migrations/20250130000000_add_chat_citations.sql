@@ -0,0 +1,5 @@
+-- Citations of chat answers: the cited transcript passages and which sentences cite them
+
+ALTER TABLE public.chat_conversations
+ADD COLUMN IF NOT EXISTS citations JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS citation_spans JSONB NOT NULL DEFAULT '[]';